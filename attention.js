@@ -0,0 +1,559 @@
+// 어텐션 레이어: Attention, AdditiveAttention, MultiHeadAttention
+// MultiHeadAttention 가중치는 Keras 처럼 query/kernel [입력, 헤드, keyDim] ~ attention_output/bias 이름과 모양이라
+// ViT·트랜스포머 헤드가 있는 Keras 모델의 가중치를 그대로 읽음 (키워드 인자로 저장된 노드는 toPositionalAttentionInputs 로 바꿈)
+// 입력: [query, value] 또는 [query, value, key]
+// 호출 옵션: { training, mask, returnAttentionScores, useCausalMask }
+// (모델에 넣을 때 준 옵션은 그 모델의 predict, fit 에서도 적용됨)
+
+// 가려진 위치의 점수에 더해서 softmax 결과가 0 이 되게 함
+const MASK_PENALTY = -1e9;
+
+// mask(1 은 사용, 0 은 가림)를 점수에 반영
+const applyMask = (scores, mask) =>
+  mask ? scores.add(tf.sub(1, mask.toFloat()).mul(MASK_PENALTY)) : scores;
+
+// 두 마스크를 모두 만족하는 위치만 (둘 중 하나가 없으면 다른 하나)
+const combineMasks = (a, b) => (a && b ? tf.logicalAnd(a, b) : a ?? b);
+
+// 앞쪽(자기 자신까지)만 볼 수 있는 [Tq, Tv] 마스크
+const causalMask = (queryLength, valueLength) =>
+  tf.linalg.bandPart(tf.ones([queryLength, valueLength]), -1, 0).cast("bool");
+
+// "glorotUniform", Keras 설정({ className, config }), 초기화 객체 → 초기화 객체
+function toInitializer(identifier) {
+  if (identifier instanceof tf.serialization.Serializable) {
+    return identifier;
+  }
+  const { className, config = {} } =
+    typeof identifier === "string"
+      ? {
+          className: identifier[0].toUpperCase() + identifier.slice(1),
+        }
+      : identifier;
+  const [cls, fromConfig] =
+    tf.serialization.SerializationMap.getMap().classNameMap[className];
+  return fromConfig(cls, config);
+}
+
+const serializeInitializer = (initializer) => ({
+  className: initializer.getClassName(),
+  config: initializer.getConfig(),
+});
+
+// [x, x] 처럼 같은 텐서를 여러 번 넣으면 tfjs 4.2 의 predict 가 그 텐서를 일찍 dispose 하므로
+// 뒤쪽의 반복된 입력은 빼고 getInputs 의 기본값(value = query, key = value)으로 대신함
+// hasAttentionMask 면 마지막 입력(attentionMask)은 그대로 둠
+function dropRepeatedInputs(inputs, hasAttentionMask = false) {
+  if (!Array.isArray(inputs)) {
+    return inputs;
+  }
+  const list = hasAttentionMask ? inputs.slice(0, -1) : inputs;
+  if (list.length > 3) {
+    return inputs;
+  }
+  const [query, value = query, key = value] = list;
+  const unique =
+    key !== value ? list : value === query ? [query] : [query, value];
+  return hasAttentionMask ? [...unique, inputs[inputs.length - 1]] : unique;
+}
+
+// 모델에 넣을 때 준 호출 옵션 (노드의 kwargs 로 저장됨)
+// hasAttentionMask 는 attentionMask 를 마지막 입력으로 넣었다는 표시
+const CALL_OPTIONS = [
+  "returnAttentionScores",
+  "useCausalMask",
+  "hasAttentionMask",
+];
+
+const isSymbolic = (inputs) =>
+  (Array.isArray(inputs) ? inputs : [inputs]).some(
+    (input) => input instanceof tf.SymbolicTensor
+  );
+
+// 어텐션 레이어 공통: 입력 정리, 호출 옵션 처리
+class AttentionLayer extends tf.layers.Layer {
+  constructor(args = {}) {
+    super(args);
+    this.dropout = args.dropout ?? 0;
+    this.supportsMasking = true;
+    this.returnScores = false;
+    // tfjs 4.2 의 predict, fit 은 apply 에 { training, mask } 만 넘기므로
+    // 모델에 넣을 때 준 옵션을 기억해 뒀다가 옵션 없이 호출되면 사용
+    this.callOptions = {};
+  }
+
+  apply(inputs, kwargs = {}) {
+    const { attentionMask, ...rest } = kwargs;
+    const options = {};
+    CALL_OPTIONS.forEach((name) => {
+      if (rest[name] !== undefined) {
+        options[name] = rest[name];
+      }
+    });
+
+    if (isSymbolic(inputs)) {
+      // 키워드 인자 속 텐서는 저장·실행되지 않으므로 마지막 입력으로 넣음
+      if (attentionMask) {
+        inputs = [
+          ...(Array.isArray(inputs) ? inputs : [inputs]),
+          attentionMask,
+        ];
+        options.hasAttentionMask = true;
+      }
+      // 같은 레이어를 다른 옵션으로 여러 번 넣으면 predict 에서 구분할 수 없음
+      if (
+        this.inboundNodes.length > 0 &&
+        CALL_OPTIONS.some(
+          (name) =>
+            (options[name] ?? false) !== (this.callOptions[name] ?? false)
+        )
+      ) {
+        throw new Error(
+          `${this.name} 레이어는 모델 안에서 같은 호출 옵션으로만 다시 쓸 수 있습니다`
+        );
+      }
+      this.callOptions = options;
+      this.returnScores = options.returnAttentionScores ?? false;
+      return super.apply(dropRepeatedInputs(inputs, options.hasAttentionMask), {
+        ...rest,
+        ...options,
+      });
+    }
+
+    // 출력 개수가 호출 옵션에 따라 달라지므로 computeOutputShape 전에 기록
+    const merged = { ...this.callOptions, ...options };
+    // 직접 attentionMask 옵션을 주면 입력은 [query, value, key] 만
+    if (attentionMask) {
+      merged.hasAttentionMask = false;
+    }
+    this.returnScores = merged.returnAttentionScores ?? false;
+    return super.apply(dropRepeatedInputs(inputs, merged.hasAttentionMask), {
+      ...kwargs,
+      ...merged,
+    });
+  }
+
+  // [query, value, key, attentionMask] 중 앞쪽만 주면 나머지는 기본값, 한 개만 주면 셀프 어텐션
+  // (hasAttentionMask 면 마지막 입력이 attentionMask)
+  splitInputs(inputs, hasAttentionMask = false) {
+    const list = Array.isArray(inputs) ? [...inputs] : [inputs];
+    const attentionMask = hasAttentionMask ? list.pop() : list[3] ?? null;
+    const [query, value = query, key = value] = list;
+    return [query, value, key, attentionMask];
+  }
+
+  getInputs(inputs, hasAttentionMask) {
+    const [query, value, key, attentionMask] = this.splitInputs(
+      inputs,
+      hasAttentionMask
+    );
+    return { query, value, key, attentionMask };
+  }
+
+  // 입력별 마스크 [query, value, key]
+  // (모델 predict 에서는 첫 입력의 마스크 하나만 전달됨)
+  getMasks(inputs, mask, hasAttentionMask) {
+    const { query, value, key } = this.getInputs(inputs, hasAttentionMask);
+    if (Array.isArray(mask)) {
+      const [queryMask = null, valueMask = null, keyMask = valueMask] = mask;
+      return [queryMask, valueMask, keyMask];
+    }
+    const queryMask = mask ?? null;
+    return [
+      queryMask,
+      value === query ? queryMask : null,
+      key === query ? queryMask : null,
+    ];
+  }
+
+  // 학습 중에만 어텐션 가중치 dropout
+  dropWeights(weights, training) {
+    return training && this.dropout > 0
+      ? tf.dropout(weights, this.dropout)
+      : weights;
+  }
+
+  // 출력 마스크는 query 마스크
+  computeMask(inputs, mask) {
+    return Array.isArray(mask) ? mask[0] ?? null : mask ?? null;
+  }
+
+  getConfig() {
+    return { ...super.getConfig(), dropout: this.dropout };
+  }
+}
+
+// Attention, AdditiveAttention 공통 (Keras 의 BaseDenseAttention)
+// 점수 [배치, Tq, Tv] → softmax → value 가중합
+class BaseDenseAttention extends AttentionLayer {
+  call(inputs, kwargs = {}) {
+    return tf.tidy(() => {
+      const { query, value, key } = this.getInputs(inputs);
+      const [queryMask, valueMask] = this.getMasks(inputs, kwargs.mask);
+
+      let mask = valueMask ? valueMask.expandDims(1) : null;
+      if (kwargs.useCausalMask) {
+        mask = combineMasks(
+          mask,
+          causalMask(query.shape[1], value.shape[1]).expandDims(0)
+        );
+      }
+
+      const scores = applyMask(this.computeScores(query, key), mask);
+      const weights = tf.softmax(scores);
+      let result = tf.matMul(this.dropWeights(weights, kwargs.training), value);
+      if (queryMask) {
+        result = result.mul(queryMask.toFloat().expandDims(-1));
+      }
+      return this.returnScores ? [result, weights] : result;
+    });
+  }
+
+  computeOutputShape(inputShape) {
+    const [queryShape, valueShape = queryShape] = Array.isArray(inputShape[0])
+      ? inputShape
+      : [inputShape];
+    const outputShape = [
+      ...queryShape.slice(0, -1),
+      valueShape[valueShape.length - 1],
+    ];
+    if (!this.returnScores) {
+      return outputShape;
+    }
+    return [outputShape, [queryShape[0], queryShape[1], valueShape[1]]];
+  }
+}
+
+// 내적 어텐션 (Luong), scoreMode "concat" 이면 tanh(query + key) 의 합
+class Attention extends BaseDenseAttention {
+  constructor(args = {}) {
+    super(args);
+    this.useScale = args.useScale ?? false;
+    this.scoreMode = args.scoreMode ?? "dot";
+    if (!["dot", "concat"].includes(this.scoreMode)) {
+      throw new Error(
+        `scoreMode 는 "dot" 또는 "concat" 이어야 합니다: ${this.scoreMode}`
+      );
+    }
+  }
+
+  build() {
+    this.scale = this.useScale
+      ? this.addWeight("scale", [], "float32", tf.initializers.ones())
+      : null;
+    this.concatScoreWeight =
+      this.scoreMode === "concat"
+        ? this.addWeight(
+            "concat_score_weight",
+            [],
+            "float32",
+            tf.initializers.ones()
+          )
+        : null;
+    this.built = true;
+  }
+
+  computeScores(query, key) {
+    if (this.scoreMode === "dot") {
+      const scores = tf.matMul(query, key, false, true);
+      return this.scale ? scores.mul(this.scale.read()) : scores;
+    }
+    let sum = query.expandDims(-2).add(key.expandDims(-3));
+    if (this.scale) {
+      sum = sum.mul(this.scale.read());
+    }
+    return sum.tanh().sum(-1).mul(this.concatScoreWeight.read());
+  }
+
+  getConfig() {
+    return {
+      ...super.getConfig(),
+      useScale: this.useScale,
+      scoreMode: this.scoreMode,
+    };
+  }
+}
+Attention.className = "Attention";
+
+// 덧셈 어텐션 (Bahdanau): sum(scale * tanh(query + key))
+class AdditiveAttention extends BaseDenseAttention {
+  constructor(args = {}) {
+    super(args);
+    this.useScale = args.useScale ?? true;
+  }
+
+  build(inputShape) {
+    const valueShape = Array.isArray(inputShape[0])
+      ? inputShape[1] ?? inputShape[0]
+      : inputShape;
+    this.scale = this.useScale
+      ? this.addWeight(
+          "scale",
+          [valueShape[valueShape.length - 1]],
+          "float32",
+          tf.initializers.glorotUniform({})
+        )
+      : null;
+    this.built = true;
+  }
+
+  computeScores(query, key) {
+    let scores = query.expandDims(-2).add(key.expandDims(-3)).tanh();
+    if (this.scale) {
+      scores = scores.mul(this.scale.read());
+    }
+    return scores.sum(-1);
+  }
+
+  getConfig() {
+    return { ...super.getConfig(), useScale: this.useScale };
+  }
+}
+AdditiveAttention.className = "AdditiveAttention";
+
+// 멀티 헤드 어텐션: 입력 [query, value, key, attentionMask] 중 앞쪽만 줘도 됨
+// attentionMask [배치, Tq, Tv] 는 네 번째 입력이나 옵션으로 전달 (모델에 넣을 때 옵션으로 주면 마지막 입력이 됨)
+// 가중치 모양은 Keras 의 EinsumDense 와 같음 (query/kernel: [입력 차원, 헤드 수, keyDim])
+class MultiHeadAttention extends AttentionLayer {
+  constructor(args = {}) {
+    super(args);
+    this.numHeads = args.numHeads;
+    this.keyDim = args.keyDim;
+    this.valueDim = args.valueDim ?? args.keyDim;
+    this.useBias = args.useBias ?? true;
+    // Layer 의 outputShape 속성과 겹치지 않게 다른 이름으로 저장
+    this.attentionOutputShape = args.outputShape ?? null;
+    this.attentionAxes = args.attentionAxes ?? null;
+    this.kernelInitializer = toInitializer(
+      args.kernelInitializer ?? "glorotUniform"
+    );
+    this.biasInitializer = toInitializer(args.biasInitializer ?? "zeros");
+
+    // 시퀀스 축([배치, 길이, 차원]의 1번 축)에 대한 어텐션만 지원
+    if (
+      this.attentionAxes !== null &&
+      !(this.attentionAxes.length === 1 && this.attentionAxes[0] === 1)
+    ) {
+      throw new Error(
+        `attentionAxes 는 [1] 만 지원합니다: ${JSON.stringify(
+          this.attentionAxes
+        )}`
+      );
+    }
+  }
+
+  getShapes(inputShape) {
+    const [queryShape, valueShape, keyShape] = this.splitInputs(
+      Array.isArray(inputShape[0]) ? inputShape : [inputShape],
+      this.callOptions.hasAttentionMask
+    );
+    return { queryShape, valueShape, keyShape };
+  }
+
+  getOutputDim(queryShape) {
+    const outputShape = this.attentionOutputShape;
+    if (outputShape === null) {
+      return queryShape[queryShape.length - 1];
+    }
+    return Array.isArray(outputShape) ? outputShape[0] : outputShape;
+  }
+
+  // query, key, value 투영 가중치 한 벌
+  addProjection(name, inputDim, headDim) {
+    return {
+      kernel: this.addWeight(
+        `${name}/kernel`,
+        [inputDim, this.numHeads, headDim],
+        "float32",
+        this.kernelInitializer
+      ),
+      bias: this.useBias
+        ? this.addWeight(
+            `${name}/bias`,
+            [this.numHeads, headDim],
+            "float32",
+            this.biasInitializer
+          )
+        : null,
+    };
+  }
+
+  build(inputShape) {
+    const { queryShape, valueShape, keyShape } = this.getShapes(inputShape);
+    const lastDim = (shape) => shape[shape.length - 1];
+
+    this.query = this.addProjection("query", lastDim(queryShape), this.keyDim);
+    this.key = this.addProjection("key", lastDim(keyShape), this.keyDim);
+    this.value = this.addProjection(
+      "value",
+      lastDim(valueShape),
+      this.valueDim
+    );
+
+    const outputDim = this.getOutputDim(queryShape);
+    this.attentionOutput = {
+      kernel: this.addWeight(
+        "attention_output/kernel",
+        [this.numHeads, this.valueDim, outputDim],
+        "float32",
+        this.kernelInitializer
+      ),
+      bias: this.useBias
+        ? this.addWeight(
+            "attention_output/bias",
+            [outputDim],
+            "float32",
+            this.biasInitializer
+          )
+        : null,
+    };
+    this.built = true;
+  }
+
+  // [배치, 길이, 차원] → [배치, 헤드, 길이, headDim]
+  project(x, { kernel, bias }, headDim) {
+    const [batch, length, dim] = x.shape;
+    let y = x.reshape([-1, dim]).matMul(kernel.read().reshape([dim, -1]));
+    if (bias) {
+      y = y.add(bias.read().reshape([-1]));
+    }
+    return y
+      .reshape([batch, length, this.numHeads, headDim])
+      .transpose([0, 2, 1, 3]);
+  }
+
+  call(inputs, kwargs = {}) {
+    return tf.tidy(() => {
+      const { query, value, key, attentionMask } = this.getInputs(
+        inputs,
+        kwargs.hasAttentionMask
+      );
+      const [queryMask, valueMask, keyMask] = this.getMasks(
+        inputs,
+        kwargs.mask,
+        kwargs.hasAttentionMask
+      );
+
+      // 입력 마스크(패딩), 인과 마스크, attentionMask 를 모두 [배치, Tq, Tv] 로 합침
+      let mask = combineMasks(
+        (attentionMask ?? kwargs.attentionMask)?.cast("bool") ?? null,
+        queryMask ? queryMask.expandDims(2) : null
+      );
+      mask = combineMasks(mask, valueMask ? valueMask.expandDims(1) : null);
+      mask = combineMasks(mask, keyMask ? keyMask.expandDims(1) : null);
+      if (kwargs.useCausalMask) {
+        mask = combineMasks(
+          mask,
+          causalMask(query.shape[1], value.shape[1]).expandDims(0)
+        );
+      }
+
+      const q = this.project(query, this.query, this.keyDim).mul(
+        1 / Math.sqrt(this.keyDim)
+      );
+      const k = this.project(key, this.key, this.keyDim);
+      const v = this.project(value, this.value, this.valueDim);
+
+      // [배치, 헤드, Tq, Tv]
+      const scores = applyMask(
+        tf.matMul(q, k, false, true),
+        mask ? mask.expandDims(1) : null
+      );
+      const weights = tf.softmax(scores);
+      const attended = tf.matMul(this.dropWeights(weights, kwargs.training), v);
+
+      // [배치, Tq, 헤드 * valueDim] → [배치, Tq, 출력 차원]
+      const [batch, , queryLength] = attended.shape;
+      const { kernel, bias } = this.attentionOutput;
+      let output = attended
+        .transpose([0, 2, 1, 3])
+        .reshape([-1, this.numHeads * this.valueDim])
+        .matMul(kernel.read().reshape([this.numHeads * this.valueDim, -1]));
+      if (bias) {
+        output = output.add(bias.read());
+      }
+      output = output.reshape([batch, queryLength, -1]);
+      return this.returnScores ? [output, weights] : output;
+    });
+  }
+
+  computeOutputShape(inputShape) {
+    const { queryShape, valueShape } = this.getShapes(inputShape);
+    const outputShape = [
+      ...queryShape.slice(0, -1),
+      this.getOutputDim(queryShape),
+    ];
+    if (!this.returnScores) {
+      return outputShape;
+    }
+    return [
+      outputShape,
+      [queryShape[0], this.numHeads, queryShape[1], valueShape[1]],
+    ];
+  }
+
+  getConfig() {
+    return {
+      ...super.getConfig(),
+      numHeads: this.numHeads,
+      keyDim: this.keyDim,
+      valueDim: this.valueDim,
+      useBias: this.useBias,
+      outputShape: this.attentionOutputShape,
+      attentionAxes: this.attentionAxes,
+      kernelInitializer: serializeInitializer(this.kernelInitializer),
+      biasInitializer: serializeInitializer(this.biasInitializer),
+    };
+  }
+}
+MultiHeadAttention.className = "MultiHeadAttention";
+
+[Attention, AdditiveAttention, MultiHeadAttention].forEach((cls) =>
+  tf.serialization.registerClass(cls)
+);
+
+// Keras 는 MultiHeadAttention 의 value, key, attention_mask 를 키워드 인자로 저장함
+// ([["query", 0, 0, { "value": ["value", 0, 0] }]])
+// tfjs 는 키워드 인자 속 텐서를 연결하지 못하므로 위치 인자 [query, value, key, attention_mask] 로 바꿈
+// use_causal_mask, return_attention_scores 는 키워드 인자로 남아서 AttentionLayer.apply 가 기억함
+function toPositionalAttentionInputs(modelTopology) {
+  const modelConfig = modelTopology.model_config ?? modelTopology;
+  for (const layer of modelConfig.config?.layers ?? []) {
+    if (layer.class_name !== "MultiHeadAttention") {
+      continue;
+    }
+    layer.inbound_nodes = layer.inbound_nodes.map((node) => {
+      const [[name, nodeIndex, tensorIndex, kwargs = {}], ...rest] = node;
+      const { value, key, attention_mask: mask, ...options } = kwargs;
+      if (rest.length > 0 || !value) {
+        return node;
+      }
+      if (mask) {
+        options.has_attention_mask = true;
+      }
+      const toInput = (ref) => [...ref.slice(0, 3), options];
+      const inputs = [[name, nodeIndex, tensorIndex, options], toInput(value)];
+      if (key) {
+        inputs.push(toInput(key));
+      }
+      if (mask) {
+        inputs.push(toInput(mask));
+      }
+      return inputs;
+    });
+  }
+  return modelTopology;
+}
+
+// Keras 에서 변환한 어텐션 모델을 읽는 IOHandler
+// tf.loadLayersModel(attentionModelHandler("./vit/model.json"))
+function attentionModelHandler(url, loadOptions) {
+  const handler = tf.io.http(url, loadOptions);
+  return {
+    load: async () => {
+      const artifacts = await handler.load();
+      toPositionalAttentionInputs(artifacts.modelTopology);
+      return artifacts;
+    },
+  };
+}
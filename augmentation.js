@@ -0,0 +1,413 @@
+// 이미지 증강 레이어: ML test.py 의 ImageDataGenerator 처럼 회전·확대·이동·뒤집기 등
+// fit 할 때(training) 만 동작하고 predict 에서는 그대로 통과 (RandomCrop 은 가운데를 잘라 크기만 맞춤)
+// 설정은 keras.layers 와 같은 값(fill_mode: "reflect", mode: "horizontal_and_vertical", value_range 등)으로 저장되어
+// Keras 모델 앞에 붙은 증강 레이어도 tf.loadLayersModel 로 읽음
+const augmentationConfig = {
+  // ML test.py 의 train_datagen 설정 (shear_range 는 대응하는 레이어가 없어 뺌)
+  rotationRange: 20,
+  zoomRange: 0.15,
+  widthShiftRange: 0.2,
+  heightShiftRange: 0.2,
+  horizontalFlip: true,
+  fillMode: "nearest",
+  // 증강 전에 긴 변을 이 크기로 줄임 (모델 입력 300x300)
+  maxSize: 300,
+};
+
+// 0.2 → [-0.2, 0.2], [-0.1, 0.3] → 그대로
+const toRange = (factor) =>
+  Array.isArray(factor) ? [factor[0], factor[1]] : [-factor, factor];
+
+// 증강 레이어 공통: 배치마다 이미지별로 다른 값을 뽑고 training 일 때만 augment 실행
+class RandomImageLayer extends tf.layers.Layer {
+  constructor(args = {}) {
+    super(args);
+    this.seed = args.seed ?? null;
+    // seed 가 있으면 호출할 때마다 다른 값이 나오면서도 재현 가능하게
+    this.seedOffset = 0;
+  }
+
+  randomUniform(shape, min, max) {
+    const seed = this.seed === null ? undefined : this.seed + this.seedOffset++;
+    return tf.randomUniform(shape, min, max, "float32", seed);
+  }
+
+  call(inputs, kwargs) {
+    return tf.tidy(() => {
+      const input = Array.isArray(inputs) ? inputs[0] : inputs;
+      // 이미지 한 장([높이, 너비, 채널])도 배치로 처리
+      const images = input.rank === 3 ? input.expandDims(0) : input;
+      const output = kwargs?.training
+        ? this.augment(images.toFloat())
+        : this.infer(images);
+      return input.rank === 3 ? output.squeeze([0]) : output;
+    });
+  }
+
+  infer(images) {
+    return images;
+  }
+
+  getConfig() {
+    return { ...super.getConfig(), seed: this.seed };
+  }
+}
+
+// 회전·확대·이동: 이미지별 변환 행렬 [a0, a1, a2, b0, b1, b2, 0, 0] 로 tf.image.transform
+class RandomTransformLayer extends RandomImageLayer {
+  constructor(args = {}) {
+    super(args);
+    this.fillMode = args.fillMode ?? "reflect";
+    this.interpolation = args.interpolation ?? "bilinear";
+    this.fillValue = args.fillValue ?? 0;
+  }
+
+  // tfjs 4.2 CPU 백엔드의 Transform 은 배치의 첫 이미지만 변환하므로 한 장씩 처리
+  augment(images) {
+    const transforms = tf.unstack(this.getTransforms(images.shape));
+    return tf.concat(
+      tf
+        .split(images, images.shape[0])
+        .map((image, i) =>
+          tf.image.transform(
+            image,
+            transforms[i].expandDims(0),
+            this.interpolation,
+            this.fillMode,
+            this.fillValue
+          )
+        )
+    );
+  }
+
+  getConfig() {
+    return {
+      ...super.getConfig(),
+      fillMode: this.fillMode,
+      interpolation: this.interpolation,
+      fillValue: this.fillValue,
+    };
+  }
+}
+
+// Keras 의 mode 값 → 뒤집을 방향
+const flipModes = {
+  horizontal: { horizontal: true, vertical: false },
+  vertical: { horizontal: false, vertical: true },
+  horizontal_and_vertical: { horizontal: true, vertical: true },
+};
+
+class RandomFlip extends RandomImageLayer {
+  constructor(args = {}) {
+    super(args);
+    // 설정에는 Keras 와 같은 값으로 저장 (tfjs 식 "horizontalAndVertical" 도 받음)
+    const mode = args.mode ?? "horizontal_and_vertical";
+    this.mode =
+      mode === "horizontalAndVertical" ? "horizontal_and_vertical" : mode;
+    if (!Object.hasOwn(flipModes, this.mode)) {
+      throw new Error(`알 수 없는 RandomFlip mode 입니다: ${mode}`);
+    }
+  }
+
+  // 이미지마다 절반 확률로 뒤집음
+  flipRandomly(images, flip) {
+    const mask = this.randomUniform([images.shape[0], 1, 1, 1], 0, 1).less(0.5);
+    return tf.where(
+      mask.tile([1, ...images.shape.slice(1)]),
+      flip(images),
+      images
+    );
+  }
+
+  augment(images) {
+    const { horizontal, vertical } = flipModes[this.mode];
+    let output = images;
+    if (horizontal) {
+      output = this.flipRandomly(output, (x) => tf.image.flipLeftRight(x));
+    }
+    if (vertical) {
+      output = this.flipRandomly(output, (x) => tf.reverse(x, 1));
+    }
+    return output;
+  }
+
+  getConfig() {
+    return { ...super.getConfig(), mode: this.mode };
+  }
+}
+RandomFlip.className = "RandomFlip";
+
+class RandomRotation extends RandomTransformLayer {
+  constructor(args = {}) {
+    super(args);
+    // 한 바퀴(2π)에 대한 비율
+    this.factor = args.factor;
+  }
+
+  getTransforms([batch, height, width]) {
+    const [lower, upper] = toRange(this.factor);
+    const angles = this.randomUniform(
+      [batch],
+      lower * 2 * Math.PI,
+      upper * 2 * Math.PI
+    );
+    const cos = angles.cos();
+    const sin = angles.sin();
+    // 이미지 중심을 기준으로 회전
+    const xOffset = tf
+      .sub(width - 1, cos.mul(width - 1).sub(sin.mul(height - 1)))
+      .div(2);
+    const yOffset = tf
+      .sub(height - 1, sin.mul(width - 1).add(cos.mul(height - 1)))
+      .div(2);
+    const zeros = tf.zeros([batch]);
+    return tf.stack(
+      [cos, sin.neg(), xOffset, sin, cos, yOffset, zeros, zeros],
+      1
+    );
+  }
+
+  getConfig() {
+    return { ...super.getConfig(), factor: this.factor };
+  }
+}
+RandomRotation.className = "RandomRotation";
+
+class RandomZoom extends RandomTransformLayer {
+  constructor(args = {}) {
+    super(args);
+    // 음수면 확대, 양수면 축소 (widthFactor 가 없으면 가로세로 비율 유지)
+    this.heightFactor = args.heightFactor;
+    this.widthFactor = args.widthFactor ?? null;
+  }
+
+  getTransforms([batch, height, width]) {
+    const [heightLower, heightUpper] = toRange(this.heightFactor);
+    const zoomY = this.randomUniform([batch], 1 + heightLower, 1 + heightUpper);
+    let zoomX = zoomY;
+    if (this.widthFactor !== null) {
+      const [widthLower, widthUpper] = toRange(this.widthFactor);
+      zoomX = this.randomUniform([batch], 1 + widthLower, 1 + widthUpper);
+    }
+    const xOffset = zoomX.sub(1).mul(-(width - 1) / 2);
+    const yOffset = zoomY.sub(1).mul(-(height - 1) / 2);
+    const zeros = tf.zeros([batch]);
+    return tf.stack(
+      [zoomX, zeros, xOffset, zeros, zoomY, yOffset, zeros, zeros],
+      1
+    );
+  }
+
+  getConfig() {
+    return {
+      ...super.getConfig(),
+      heightFactor: this.heightFactor,
+      widthFactor: this.widthFactor,
+    };
+  }
+}
+RandomZoom.className = "RandomZoom";
+
+class RandomTranslation extends RandomTransformLayer {
+  constructor(args = {}) {
+    super(args);
+    // 높이·너비에 대한 비율
+    this.heightFactor = args.heightFactor;
+    this.widthFactor = args.widthFactor;
+  }
+
+  getTransforms([batch, height, width]) {
+    const [heightLower, heightUpper] = toRange(this.heightFactor);
+    const [widthLower, widthUpper] = toRange(this.widthFactor);
+    const dy = this.randomUniform([batch], heightLower, heightUpper).mul(
+      height
+    );
+    const dx = this.randomUniform([batch], widthLower, widthUpper).mul(width);
+    const zeros = tf.zeros([batch]);
+    const ones = tf.ones([batch]);
+    return tf.stack(
+      [ones, zeros, dx.neg(), zeros, ones, dy.neg(), zeros, zeros],
+      1
+    );
+  }
+
+  getConfig() {
+    return {
+      ...super.getConfig(),
+      heightFactor: this.heightFactor,
+      widthFactor: this.widthFactor,
+    };
+  }
+}
+RandomTranslation.className = "RandomTranslation";
+
+class RandomContrast extends RandomImageLayer {
+  constructor(args = {}) {
+    super(args);
+    // 대비를 [1 - lower, 1 + upper] 배로
+    this.factor = args.factor;
+    this.valueRange = args.valueRange ?? [0, 255];
+  }
+
+  augment(images) {
+    const [lower, upper] = Array.isArray(this.factor)
+      ? this.factor
+      : [this.factor, this.factor];
+    const factors = this.randomUniform(
+      [images.shape[0], 1, 1, 1],
+      1 - lower,
+      1 + upper
+    );
+    // 채널별 평균을 기준으로 늘리거나 줄임
+    const mean = images.mean([1, 2], true);
+    return images
+      .sub(mean)
+      .mul(factors)
+      .add(mean)
+      .clipByValue(this.valueRange[0], this.valueRange[1]);
+  }
+
+  getConfig() {
+    return {
+      ...super.getConfig(),
+      factor: this.factor,
+      valueRange: this.valueRange,
+    };
+  }
+}
+RandomContrast.className = "RandomContrast";
+
+class RandomCrop extends RandomImageLayer {
+  constructor(args = {}) {
+    super(args);
+    this.height = args.height;
+    this.width = args.width;
+  }
+
+  // 이미지별 [y1, x1, y2, x2] (픽셀) → cropAndResize 용 정규화 좌표
+  cropImages(images, boxes) {
+    const [batch, height, width] = images.shape;
+    const scale = [
+      height - 1 || 1,
+      width - 1 || 1,
+      height - 1 || 1,
+      width - 1 || 1,
+    ];
+    return tf.image.cropAndResize(
+      images,
+      boxes.div(scale),
+      tf.range(0, batch, 1, "int32"),
+      [this.height, this.width]
+    );
+  }
+
+  // 무작위 위치에서 height x width 만큼 자름 (이미지가 더 작으면 infer 처럼 맞춤)
+  augment(images) {
+    const [batch, height, width] = images.shape;
+    if (height < this.height || width < this.width) {
+      return this.infer(images);
+    }
+    const y = this.randomUniform([batch], 0, 1)
+      .mul(height - this.height + 1)
+      .floor();
+    const x = this.randomUniform([batch], 0, 1)
+      .mul(width - this.width + 1)
+      .floor();
+    return this.cropImages(
+      images,
+      tf.stack([y, x, y.add(this.height - 1), x.add(this.width - 1)], 1)
+    );
+  }
+
+  // 가로세로 비율을 맞춰 가운데를 자르고 height x width 로 크기 조절
+  infer(images) {
+    const [batch, height, width] = images.shape;
+    const cropHeight = Math.min(
+      height,
+      Math.round((width * this.height) / this.width)
+    );
+    const cropWidth = Math.min(
+      width,
+      Math.round((height * this.width) / this.height)
+    );
+    const y = Math.floor((height - cropHeight) / 2);
+    const x = Math.floor((width - cropWidth) / 2);
+    const box = [y, x, y + cropHeight - 1, x + cropWidth - 1];
+    return this.cropImages(
+      images.toFloat(),
+      tf.tensor2d([box]).tile([batch, 1])
+    );
+  }
+
+  computeOutputShape(inputShape) {
+    return [
+      ...inputShape.slice(0, -3),
+      this.height,
+      this.width,
+      inputShape[inputShape.length - 1],
+    ];
+  }
+
+  getConfig() {
+    return { ...super.getConfig(), height: this.height, width: this.width };
+  }
+}
+RandomCrop.className = "RandomCrop";
+
+[
+  RandomFlip,
+  RandomRotation,
+  RandomZoom,
+  RandomTranslation,
+  RandomContrast,
+  RandomCrop,
+].forEach((cls) => tf.serialization.registerClass(cls));
+
+// augmentationConfig 와 같은 증강을 하는 모델
+function createAugmentation(config = augmentationConfig) {
+  const layers = [
+    new RandomRotation({
+      // 사진마다 크기가 달라서 높이·너비는 정하지 않음
+      inputShape: [null, null, 3],
+      factor: config.rotationRange / 360,
+      fillMode: config.fillMode,
+    }),
+    new RandomZoom({
+      heightFactor: config.zoomRange,
+      fillMode: config.fillMode,
+    }),
+    new RandomTranslation({
+      heightFactor: config.heightShiftRange,
+      widthFactor: config.widthShiftRange,
+      fillMode: config.fillMode,
+    }),
+  ];
+  if (config.horizontalFlip) {
+    layers.push(new RandomFlip({ mode: "horizontal" }));
+  }
+  return tf.sequential({ layers });
+}
+
+let augmentation = null;
+
+// 이미지마다 증강한 사본 copies 장 ([높이, 너비, 3] int32 텐서, 다 쓰면 dispose)
+function augmentImages(images, copies) {
+  augmentation ??= createAugmentation();
+  return images.flatMap((image) =>
+    tf.tidy(() => {
+      const pixels = tf.browser.fromPixels(image);
+      const [height, width] = pixels.shape;
+      const scale = Math.min(
+        1,
+        augmentationConfig.maxSize / Math.max(height, width)
+      );
+      const resized = tf.image.resizeBilinear(pixels, [
+        Math.round(height * scale),
+        Math.round(width * scale),
+      ]);
+      const batch = resized.expandDims(0).tile([copies, 1, 1, 1]);
+      const augmented = augmentation.apply(batch, { training: true });
+      return tf.unstack(augmented.round().clipByValue(0, 255).toInt());
+    })
+  );
+}
@@ -0,0 +1,149 @@
+// 배경 제거: 학습 이미지(누끼.py 의 rembg)처럼 차만 남기고 배경을 단색으로 칠함
+// 세그멘테이션 모델(rembg 의 u2netp)을 model2 와 같은 GraphModel 형식으로 변환해서 사용
+// 모델은 저장소에 없으므로 segmentation/README.md 대로 변환해서 넣어야 토글이 켜짐
+const backgroundConfig = {
+  modelUrl: "./segmentation/model.json",
+  // rembg 결과를 RGB 로 읽으면 투명한 부분이 검은색이 됨
+  background: [0, 0, 0],
+  // 큰 사진은 이 크기(긴 변)로 줄여서 합성
+  maxSize: 600,
+  // model.json 에 userDefinedMetadata.preprocessing 이 없을 때 쓰는 값
+  preprocessing: {
+    inputSize: [320, 320],
+    fit: "stretch",
+    interpolation: "bilinear",
+    scale: 1 / 255,
+    offset: 0,
+  },
+};
+
+const backgroundToggle = document.querySelector(".background_toggle input");
+
+let segmentationModelPromise = null;
+
+// 세그멘테이션 모델을 한 번만 로드
+function getSegmentationModel() {
+  if (!segmentationModelPromise) {
+    segmentationModelPromise = tf
+      .loadGraphModel(backgroundConfig.modelUrl)
+      .catch((error) => {
+        segmentationModelPromise = null;
+        throw error;
+      });
+  }
+  return segmentationModelPromise;
+}
+
+function getSegmentationPreprocessing(model) {
+  return model.metadata?.preprocessing
+    ? getPreprocessing(model)
+    : { ...defaultPreprocessing, ...backgroundConfig.preprocessing };
+}
+
+// 차를 배경색 위에 합성한 이미지를 캔버스로 돌려줌
+async function removeBackground(image) {
+  const model = await getSegmentationModel();
+
+  const composite = tf.tidy(() => {
+    let pixels = tf.browser.fromPixels(image);
+    const [height, width] = pixels.shape;
+    const scale = Math.min(
+      1,
+      backgroundConfig.maxSize / Math.max(height, width)
+    );
+    if (scale < 1) {
+      pixels = tf.image.resizeBilinear(pixels, [
+        Math.round(height * scale),
+        Math.round(width * scale),
+      ]);
+    }
+
+    // 출력이 여러 개면(U²-Net 의 d0~d6) 첫 번째가 최종 마스크
+    const input = preprocessImage(pixels, getSegmentationPreprocessing(model));
+    const output = model.predict(input);
+    const prediction = Array.isArray(output) ? output[0] : output;
+
+    // 마스크는 입력과 같은 크기 ([1, h, w, 1], [1, h, w], [1, 1, h, w] 모두 가능)
+    // → 사진 크기 [height, width, 1] 로 늘리고 0~1 로 정규화
+    const [maskHeight, maskWidth] = input.shape.slice(1, 3);
+    const mask = tf.image.resizeBilinear(
+      prediction.reshape([maskHeight, maskWidth, 1]),
+      pixels.shape.slice(0, 2)
+    );
+    const min = mask.min();
+    const normalized = mask.sub(min).div(mask.max().sub(min).add(1e-8));
+
+    const background = tf.tensor1d(backgroundConfig.background);
+    return pixels
+      .toFloat()
+      .mul(normalized)
+      .add(background.mul(tf.scalar(1).sub(normalized)))
+      .round()
+      .clipByValue(0, 255)
+      .toInt();
+  });
+
+  const canvas = document.createElement("canvas");
+  try {
+    await tf.browser.toPixels(composite, canvas);
+  } finally {
+    composite.dispose();
+  }
+  return canvas;
+}
+
+// 원본과 배경 제거 결과를 나란히 표시
+function paintBackgroundPreview(result) {
+  const preview = document.createElement("div");
+  preview.className = "background_preview";
+
+  [
+    ["원본", result.image],
+    ["배경 제거", result.cleaned],
+  ].forEach(([label, source]) => {
+    const figure = document.createElement("figure");
+    const canvas = document.createElement("canvas");
+    const caption = document.createElement("figcaption");
+
+    // 원본도 배경 제거 결과(maxSize 이하)와 같은 크기로 줄여서 그림
+    canvas.width = result.cleaned.width;
+    canvas.height = result.cleaned.height;
+    canvas
+      .getContext("2d")
+      .drawImage(source, 0, 0, canvas.width, canvas.height);
+    caption.innerText = label;
+
+    figure.appendChild(canvas);
+    figure.appendChild(caption);
+    preview.appendChild(figure);
+  });
+
+  const container = document.getElementsByClassName("search_container")[0];
+  container.querySelector(".background_preview")?.remove();
+  container.insertBefore(preview, container.querySelector("h2").nextSibling);
+}
+
+// 모델 파일이 없으면 토글을 쓸 수 없게 표시
+fetch(backgroundConfig.modelUrl, { method: "HEAD", cache: "no-cache" })
+  .then((response) => response.ok)
+  .catch(() => false)
+  .then((available) => {
+    if (!available) {
+      const label = backgroundToggle.parentElement;
+      backgroundToggle.checked = false;
+      backgroundToggle.disabled = true;
+      label.classList.add("unavailable");
+      label.title = `배경 제거 모델(${backgroundConfig.modelUrl})이 없습니다. segmentation/README.md 를 참고해 변환해주세요.`;
+    }
+  });
+
+// 켤 때 모델을 미리 불러오고, 불러오지 못하면 다시 끔
+backgroundToggle.addEventListener("change", () => {
+  if (!backgroundToggle.checked) {
+    return;
+  }
+  getSegmentationModel().catch((error) => {
+    backgroundToggle.checked = false;
+    alert(`배경 제거 모델을 불러올 수 없습니다: ${error.message}`);
+  });
+});
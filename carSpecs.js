@@ -0,0 +1,132 @@
+// catalog 의 가격·연비 문자열을 숫자 범위로 바꾸고 후보 차종을 나란히 비교
+const EFFICIENCY_KEYS = { 복합: "combined", 도심: "city", 고속: "highway" };
+
+const COMPARISON_ROWS = [
+  { label: "가격", get: (specs) => specs.price },
+  { label: "복합 연비", get: (specs) => specs.efficiency?.combined },
+  { label: "도심 연비", get: (specs) => specs.efficiency?.city },
+  { label: "고속 연비", get: (specs) => specs.efficiency?.highway },
+];
+
+// "14.4~15" 또는 "16" → { min, max }
+const parseRange = (min, max = min) => ({
+  min: Number(min.replace(/,/g, "")),
+  max: Number(max.replace(/,/g, "")),
+});
+
+// "977~1,487만원" → { min: 977, max: 1487, unit: "만원" }
+function parsePrice(text) {
+  const match = /([\d,]+)\s*(?:~\s*([\d,]+))?\s*만원/.exec(text);
+  return match ? { ...parseRange(match[1], match[2]), unit: "만원" } : null;
+}
+
+// "복합 14.4~15km/ℓ 도심 13.4~14.3, 고속 16~16.1"
+// → { unit: "km/ℓ", combined: { min, max, unit }, city: ..., highway: ... }
+// 단위가 없으면 null, 없는 항목(도심 등)은 빠짐
+function parseFuelEfficiency(text) {
+  const unitMatch = /km\s*\/\s*(ℓ|l|kwh)/i.exec(text);
+  if (!unitMatch) {
+    return null;
+  }
+  const unit = /kwh/i.test(unitMatch[1]) ? "km/kWh" : "km/ℓ";
+
+  const efficiency = { unit };
+  for (const match of text.matchAll(
+    /(복합|도심|고속)\s*([\d.]+)\s*(?:~\s*([\d.]+))?/g
+  )) {
+    efficiency[EFFICIENCY_KEYS[match[1]]] = {
+      ...parseRange(match[2], match[3]),
+      unit,
+    };
+  }
+  return efficiency;
+}
+
+// catalog 항목의 숫자 정보 (읽을 수 없는 값은 null, 연료가 없으면 [])
+const getCarSpecs = (car) => ({
+  price: parsePrice(car.price),
+  efficiency: parseFuelEfficiency(car.fuelEfficiency),
+  fuels: (car.fuel ?? "")
+    .split(",")
+    .map((fuel) => fuel.trim())
+    .filter((fuel) => fuel && fuel !== "-"),
+});
+
+const formatRange = ({ min, max, unit }) => {
+  const format = (value) => value.toLocaleString("ko-KR");
+  const range = min === max ? format(min) : `${format(min)}~${format(max)}`;
+  return `${range}${unit}`;
+};
+
+// 예측한 차종과 다른 후보들의 가격·연비 범위 막대
+// 단위(km/ℓ, km/kWh)가 다르면 같은 단위끼리만 막대 길이를 맞춤
+const paintComparison = (container, ranking) => {
+  const cars = ranking.map(({ index }) => ({
+    name: data[index].name,
+    specs: getCarSpecs(data[index]),
+  }));
+
+  const comparison = document.createElement("div");
+  const title = document.createElement("h3");
+  comparison.className = "compare_container";
+  title.innerText = "후보 비교";
+  comparison.appendChild(title);
+
+  COMPARISON_ROWS.forEach(({ label, get }) => {
+    const ranges = cars.map(({ specs }) => get(specs) ?? null);
+    if (ranges.every((range) => range === null)) {
+      return;
+    }
+
+    const scales = {};
+    ranges.forEach((range) => {
+      if (range) {
+        scales[range.unit] = Math.max(scales[range.unit] ?? 0, range.max);
+      }
+    });
+
+    const row = document.createElement("div");
+    const rowTitle = document.createElement("h4");
+    const list = document.createElement("ul");
+    row.className = "compare_row";
+    rowTitle.innerText = label;
+
+    cars.forEach(({ name }, i) => {
+      const range = ranges[i];
+      const item = document.createElement("li");
+      const carName = document.createElement("span");
+      const bar = document.createElement("div");
+      const fill = document.createElement("div");
+      const value = document.createElement("span");
+
+      carName.innerText = name;
+      bar.className = "compare_bar";
+      value.innerText = range ? formatRange(range) : "-";
+      if (range) {
+        const scale = scales[range.unit];
+        fill.style.left = `${(range.min / scale) * 100}%`;
+        fill.style.width = `${((range.max - range.min) / scale) * 100}%`;
+      }
+
+      bar.appendChild(fill);
+      item.appendChild(carName);
+      item.appendChild(bar);
+      item.appendChild(value);
+      list.appendChild(item);
+    });
+
+    row.appendChild(rowTitle);
+    row.appendChild(list);
+    comparison.appendChild(row);
+  });
+
+  // 연료는 막대 대신 글자로
+  const fuelRow = document.createElement("p");
+  fuelRow.className = "compare_fuel";
+  fuelRow.innerText = cars
+    .map(({ name, specs }) => `${name}: ${specs.fuels.join(", ") || "-"}`)
+    .join(" / ");
+  comparison.appendChild(fuelRow);
+
+  container.appendChild(comparison);
+};
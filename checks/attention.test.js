@@ -0,0 +1,155 @@
+// attention.js: 모델 안(predict, fit)에서도 호출 옵션이 적용되는지 확인
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadBrowserScripts, tf } from "./browserScripts.js";
+
+const get = loadBrowserScripts(["attention.js"]);
+const Attention = get("Attention");
+const MultiHeadAttention = get("MultiHeadAttention");
+const toPositionalAttentionInputs = get("toPositionalAttentionInputs");
+
+const maxDiff = (a, b) => tf.max(tf.abs(tf.sub(a, b))).dataSync()[0];
+
+// 메모리로 저장한 뒤 다시 로드
+async function saveAndLoad(model) {
+  let artifacts;
+  await model.save(
+    tf.io.withSaveHandler(async (saved) => {
+      artifacts = saved;
+      return { modelArtifactsInfo: { dateSaved: new Date() } };
+    })
+  );
+  return artifacts;
+}
+
+// 모든 배치, 헤드에서 query i 가 뒤쪽 value j > i 를 보지 않는지
+function assertCausal(scores) {
+  const lastAxis = scores.shape.length - 1;
+  const [queryLength, valueLength] = scores.shape.slice(lastAxis - 1);
+  const future = tf.sub(
+    1,
+    tf.linalg.bandPart(tf.ones([queryLength, valueLength]), -1, 0)
+  );
+  assert.equal(tf.sum(scores.mul(future)).dataSync()[0], 0);
+}
+
+test("Attention: returnAttentionScores, useCausalMask 가 predict 에 적용됨", async () => {
+  const x = tf.randomNormal([2, 5, 4]);
+  const input = tf.input({ shape: [5, 4] });
+  const dense = tf.layers.dense({ units: 4 });
+  const hidden = dense.apply(input);
+  const attention = new Attention({});
+  const outputs = attention.apply([hidden, hidden], {
+    returnAttentionScores: true,
+    useCausalMask: true,
+  });
+  const model = tf.model({ inputs: input, outputs });
+
+  const [output, scores] = model.predict(x);
+  assert.deepEqual(scores.shape, [2, 5, 5]);
+  assertCausal(scores);
+
+  const h = dense.apply(x);
+  const [expected] = attention.call([h, h], { useCausalMask: true });
+  const [unmasked] = attention.call([h, h], {});
+  assert.ok(maxDiff(output, expected) < 1e-6);
+  assert.ok(maxDiff(output, unmasked) > 1e-3);
+
+  // 옵션은 노드의 kwargs 로 저장되고 다시 로드해도 적용됨
+  const artifacts = await saveAndLoad(model);
+  const [node] = artifacts.modelTopology.config.layers[2].inbound_nodes;
+  assert.deepEqual(node[0][3], {
+    return_attention_scores: true,
+    use_causal_mask: true,
+  });
+  const reloaded = await tf.loadLayersModel(tf.io.fromMemory(artifacts));
+  const [reloadedOutput] = reloaded.predict(x);
+  assert.ok(maxDiff(output, reloadedOutput) < 1e-6);
+});
+
+test("MultiHeadAttention: attentionMask 옵션과 인과 마스크가 predict, fit 에 적용됨", async () => {
+  const x = tf.randomNormal([2, 5, 4]);
+  // 3 번째 위치는 가림
+  const mask = tf.tensor3d(
+    Array.from({ length: 50 }, (_, i) => (i % 5 === 3 ? 0 : 1)),
+    [2, 5, 5]
+  );
+  const input = tf.input({ shape: [5, 4] });
+  const maskInput = tf.input({ shape: [5, 5] });
+  const dense = tf.layers.dense({ units: 4 });
+  const hidden = dense.apply(input);
+  const attention = new MultiHeadAttention({ numHeads: 2, keyDim: 3 });
+  const [output, scores] = attention.apply(hidden, {
+    attentionMask: maskInput,
+    useCausalMask: true,
+    returnAttentionScores: true,
+  });
+  const model = tf.model({
+    inputs: [input, maskInput],
+    outputs: [output, scores],
+  });
+
+  const [predicted, predictedScores] = model.predict([x, mask]);
+  assert.deepEqual(predictedScores.shape, [2, 2, 5, 5]);
+  assertCausal(predictedScores);
+  assert.equal(
+    tf.sum(predictedScores.slice([0, 0, 4, 3], [2, 2, 1, 1])).dataSync()[0],
+    0
+  );
+
+  const h = dense.apply(x);
+  const [expected] = attention.call([h, h, h, mask], { useCausalMask: true });
+  assert.ok(maxDiff(predicted, expected) < 1e-6);
+
+  const trainable = tf.model({ inputs: [input, maskInput], outputs: output });
+  trainable.compile({ optimizer: "adam", loss: "meanSquaredError" });
+  const history = await trainable.fit([x, mask], tf.randomNormal([2, 5, 4]), {
+    epochs: 2,
+    verbose: 0,
+  });
+  assert.ok(history.history.loss.every(Number.isFinite));
+
+  // Keras 처럼 value, attention_mask, use_causal_mask 를 키워드 인자로 저장한 모델
+  const artifacts = await saveAndLoad(model);
+  const topology = JSON.parse(JSON.stringify(artifacts.modelTopology));
+  const layer = topology.config.layers.find(
+    (config) => config.class_name === "MultiHeadAttention"
+  );
+  const [node] = layer.inbound_nodes;
+  const hiddenRef = node[0].slice(0, 3);
+  const maskRef = node[node.length - 1].slice(0, 3);
+  layer.inbound_nodes = [
+    [
+      [
+        ...hiddenRef,
+        {
+          value: hiddenRef,
+          attention_mask: maskRef,
+          use_causal_mask: true,
+          return_attention_scores: true,
+        },
+      ],
+    ],
+  ];
+  const keras = await tf.loadLayersModel(
+    tf.io.fromMemory({
+      ...artifacts,
+      // vm 안에서 만든 배열은 instanceof Array 가 아니므로 JSON 으로 다시 만듦
+      modelTopology: JSON.parse(
+        JSON.stringify(toPositionalAttentionInputs(topology))
+      ),
+    })
+  );
+  // fit 으로 가중치가 바뀌었으므로 지금 모델의 출력과 비교
+  const [trained] = model.predict([x, mask]);
+  const [kerasOutput, kerasScores] = keras.predict([x, mask]);
+  assert.ok(maxDiff(trained, kerasOutput) < 1e-6);
+  assertCausal(kerasScores);
+});
+
+test("같은 레이어를 다른 호출 옵션으로 다시 넣으면 오류", () => {
+  const input = tf.input({ shape: [5, 4] });
+  const attention = new Attention({});
+  attention.apply(input);
+  assert.throws(() => attention.apply(input, { useCausalMask: true }));
+});
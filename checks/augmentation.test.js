@@ -0,0 +1,200 @@
+// augmentation.js: Keras 와 같은 설정 값으로 저장하고 Keras 설정을 로드하는지 확인
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadBrowserScripts, tf } from "./browserScripts.js";
+
+const get = loadBrowserScripts(["augmentation.js"]);
+const RandomFlip = get("RandomFlip");
+const RandomRotation = get("RandomRotation");
+const RandomZoom = get("RandomZoom");
+const RandomTranslation = get("RandomTranslation");
+const RandomContrast = get("RandomContrast");
+const RandomCrop = get("RandomCrop");
+
+const maxDiff = (a, b) => tf.max(tf.abs(tf.sub(a, b))).dataSync()[0];
+// [1, size, size, 1] 에 0, 1, 2, ... 를 채운 이미지
+const grid = (size) => tf.range(0, size * size).reshape([1, size, size, 1]);
+
+test("RandomFlip: mode 를 Keras 값으로 저장하고 다시 로드", async () => {
+  const model = tf.sequential({
+    layers: [new RandomFlip({ inputShape: [4, 4, 1], seed: 1 })],
+  });
+  const topology = JSON.parse(JSON.stringify(model.toJSON(null, false)));
+  const [layer] = topology.config.layers;
+  assert.equal(layer.config.mode, "horizontal_and_vertical");
+
+  // Keras 가 저장한 설정, 예전 tfjs 식 이름 모두 같은 값으로 읽음
+  for (const mode of ["horizontal_and_vertical", "horizontalAndVertical"]) {
+    layer.config.mode = mode;
+    const loaded = await tf.models.modelFromJSON({
+      modelTopology: JSON.parse(JSON.stringify(topology)),
+    });
+    assert.equal(loaded.layers[0].mode, "horizontal_and_vertical");
+  }
+  assert.throws(() => new RandomFlip({ mode: "diagonal" }), /mode/);
+});
+
+test("RandomFlip: vertical 은 위아래로만 뒤집음", () => {
+  const image = tf.range(0, 16).reshape([1, 4, 4, 1]);
+  const flip = new RandomFlip({ mode: "vertical", seed: 1 });
+  const seen = new Set();
+  for (let i = 0; i < 20; i++) {
+    const output = flip.apply(image, { training: true });
+    const flipped = tf.reverse(image, 1);
+    const same = tf.equal(output, image).all().dataSync()[0];
+    assert.ok(same || tf.equal(output, flipped).all().dataSync()[0]);
+    seen.add(same ? "same" : "flipped");
+  }
+  assert.equal(seen.size, 2);
+});
+
+test("회전·확대·이동·대비: predict 에서는 그대로 통과", () => {
+  const image = grid(5);
+  for (const layer of [
+    new RandomRotation({ factor: 0.2 }),
+    new RandomZoom({ heightFactor: 0.3 }),
+    new RandomTranslation({ heightFactor: 0.2, widthFactor: 0.2 }),
+    new RandomContrast({ factor: 0.5 }),
+  ]) {
+    assert.equal(maxDiff(layer.apply(image), image), 0, layer.getClassName());
+  }
+});
+
+test("RandomRotation: 양수는 시계 반대 방향으로 회전", () => {
+  const image = grid(4);
+  const rotation = new RandomRotation({ factor: [0.25, 0.25] });
+  const output = rotation.apply(image, { training: true });
+  // 90 도: 오른쪽 열이 맨 위 행이 됨
+  const expected = tf.reverse(tf.transpose(image, [0, 2, 1, 3]), 1);
+  assert.ok(maxDiff(output, expected) < 1e-4);
+});
+
+test("RandomZoom: 음수는 가운데를 확대", () => {
+  const image = grid(5);
+  const zoom = new RandomZoom({ heightFactor: [-0.5, -0.5] });
+  const output = zoom.apply(image, { training: true });
+  // 가운데 3x3 을 5x5 로 늘린 것과 같음
+  const center = image.slice([0, 1, 1, 0], [1, 3, 3, 1]);
+  const expected = tf.image.resizeBilinear(center, [5, 5], true);
+  assert.ok(maxDiff(output, expected) < 1e-4);
+});
+
+test("RandomTranslation: 너비의 비율만큼 옮기고 빈 곳은 fillValue", () => {
+  const image = grid(4);
+  const translation = new RandomTranslation({
+    heightFactor: 0,
+    widthFactor: [0.25, 0.25],
+    fillMode: "constant",
+    fillValue: -1,
+  });
+  const output = translation.apply(image, { training: true });
+  // 오른쪽으로 한 칸
+  const expected = tf.concat(
+    [tf.fill([1, 4, 1, 1], -1), image.slice([0, 0, 0, 0], [1, 4, 3, 1])],
+    2
+  );
+  assert.ok(maxDiff(output, expected) < 1e-4);
+});
+
+test("RandomContrast: 채널 평균을 기준으로 늘리고 valueRange 로 자름", () => {
+  const image = tf.tensor4d([10, 20, 30, 100], [1, 2, 2, 1]);
+  // [1 - (-1), 1 + 1] 이라 항상 2 배
+  const contrast = new RandomContrast({
+    factor: [-1, 1],
+    valueRange: [0, 100],
+  });
+  const output = contrast.apply(image, { training: true });
+  // 평균 40: (x - 40) * 2 + 40
+  assert.deepEqual(Array.from(output.dataSync()), [0, 0, 20, 100]);
+});
+
+test("RandomCrop: fit 할 때는 무작위 위치, predict 에서는 가운데를 잘라 크기 맞춤", () => {
+  const image = grid(6);
+  const crop = new RandomCrop({ height: 4, width: 4, seed: 1 });
+  const windows = [];
+  for (let y = 0; y <= 2; y++) {
+    for (let x = 0; x <= 2; x++) {
+      windows.push(image.slice([0, y, x, 0], [1, 4, 4, 1]));
+    }
+  }
+  const seen = new Set();
+  for (let i = 0; i < 20; i++) {
+    const output = crop.apply(image, { training: true });
+    assert.deepEqual(output.shape, [1, 4, 4, 1]);
+    const index = windows.findIndex((window) => maxDiff(output, window) < 1e-4);
+    assert.notEqual(index, -1);
+    seen.add(index);
+  }
+  assert.ok(seen.size > 1);
+
+  // Keras 의 smart_resize 처럼 비율이 같으면 자르지 않고 전체를 줄임
+  const inferred = crop.apply(image);
+  assert.ok(
+    maxDiff(inferred, tf.image.resizeBilinear(image, [4, 4], true)) < 1e-4
+  );
+  // 가로가 긴 이미지는 가운데 정사각형을 4x4 로 줄임
+  const wide = tf.range(0, 16).reshape([1, 2, 8, 1]);
+  const narrow = new RandomCrop({ height: 4, width: 4 }).apply(wide);
+  assert.deepEqual(narrow.shape, [1, 4, 4, 1]);
+  assert.ok(
+    maxDiff(
+      narrow,
+      tf.image.resizeBilinear(
+        wide.slice([0, 0, 3, 0], [1, 2, 2, 1]),
+        [4, 4],
+        true
+      )
+    ) < 1e-4
+  );
+});
+
+test("증강 레이어를 넣은 모델을 fit 하고 Keras 설정 이름으로 저장, 다시 로드", async () => {
+  const model = tf.sequential({
+    layers: [
+      new RandomRotation({ inputShape: [8, 8, 3], factor: 0.1, seed: 1 }),
+      new RandomZoom({ heightFactor: 0.2, widthFactor: [-0.1, 0.2] }),
+      new RandomTranslation({
+        heightFactor: 0.1,
+        widthFactor: 0.1,
+        fillMode: "nearest",
+      }),
+      // vm 안에서 만든 배열은 instanceof Array 가 아니어서 기본값 대신 직접 넘김
+      new RandomContrast({ factor: 0.2, valueRange: [0, 255] }),
+      new RandomCrop({ height: 6, width: 6 }),
+      tf.layers.flatten(),
+      tf.layers.dense({ units: 2, activation: "softmax" }),
+    ],
+  });
+  model.compile({ optimizer: "sgd", loss: "categoricalCrossentropy" });
+  const x = tf.randomUniform([4, 8, 8, 3], 0, 255);
+  const y = tf.oneHot(tf.tensor1d([0, 1, 0, 1], "int32"), 2);
+  const history = await model.fit(x, y, { epochs: 2, verbose: 0 });
+  assert.ok(history.history.loss.every(Number.isFinite));
+
+  const topology = JSON.parse(JSON.stringify(model.toJSON(null, false)));
+  const configs = topology.config.layers.slice(0, 5);
+  assert.deepEqual(
+    configs.map((layer) => layer.class_name),
+    [
+      "RandomRotation",
+      "RandomZoom",
+      "RandomTranslation",
+      "RandomContrast",
+      "RandomCrop",
+    ]
+  );
+  assert.equal(configs[0].config.fill_mode, "reflect");
+  assert.deepEqual(configs[1].config.width_factor, [-0.1, 0.2]);
+  assert.equal(configs[2].config.fill_mode, "nearest");
+  assert.deepEqual(configs[3].config.value_range, [0, 255]);
+  assert.equal(configs[4].config.height, 6);
+
+  const loaded = await tf.models.modelFromJSON({ modelTopology: topology });
+  assert.deepEqual(
+    JSON.parse(JSON.stringify(loaded.toJSON(null, false))),
+    topology
+  );
+  loaded.setWeights(model.getWeights());
+  // predict 에서는 증강 없이 가운데만 자르므로 결과가 같음
+  assert.ok(maxDiff(loaded.predict(x), model.predict(x)) < 1e-6);
+});
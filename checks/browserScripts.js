@@ -0,0 +1,20 @@
+// 전역 tf 를 쓰는 브라우저 스크립트를 Node 에서 불러와 확인할 수 있게 하는 도우미
+import { readFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import vm from "vm";
+import * as tf from "@tensorflow/tfjs";
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+
+// 페이지와 같은 순서로 files 를 실행하고, 스크립트의 최상위 이름을 꺼내는 함수 반환
+export function loadBrowserScripts(files, globals = {}) {
+  const context = vm.createContext({ tf, console, ...globals });
+  for (const file of files) {
+    const source = readFileSync(path.join(rootDir, file), "utf8");
+    vm.runInContext(source, context, { filename: file });
+  }
+  return (name) => vm.runInContext(name, context);
+}
+
+export { tf };
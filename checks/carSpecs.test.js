@@ -0,0 +1,86 @@
+// carSpecs.js: catalog 의 가격·연비·연료 문자열을 숫자 범위와 목록으로 읽는지 확인
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadBrowserScripts } from "./browserScripts.js";
+
+const get = loadBrowserScripts(["carSpecs.js"]);
+const parsePrice = get("parsePrice");
+const parseFuelEfficiency = get("parseFuelEfficiency");
+const getCarSpecs = get("getCarSpecs");
+
+// vm 안에서 만든 배열은 instanceof Array 가 아니므로 JSON 으로 다시 만듦
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+test("parsePrice: 범위, 한 값, 쉼표, 읽을 수 없는 값", () => {
+  assert.deepEqual(plain(parsePrice("977~1,487만원")), {
+    min: 977,
+    max: 1487,
+    unit: "만원",
+  });
+  assert.deepEqual(plain(parsePrice("2,400 ~ 3,284 만원")), {
+    min: 2400,
+    max: 3284,
+    unit: "만원",
+  });
+  assert.deepEqual(plain(parsePrice("6,493만원")), {
+    min: 6493,
+    max: 6493,
+    unit: "만원",
+  });
+  for (const text of ["-", "", "미정", undefined]) {
+    assert.equal(parsePrice(text), null);
+  }
+});
+
+test("parseFuelEfficiency: 항목별 범위와 단위", () => {
+  assert.deepEqual(
+    plain(parseFuelEfficiency("복합 14.4~15km/ℓ 도심 13.4~14.3, 고속 16~16.1")),
+    {
+      unit: "km/ℓ",
+      combined: { min: 14.4, max: 15, unit: "km/ℓ" },
+      city: { min: 13.4, max: 14.3, unit: "km/ℓ" },
+      highway: { min: 16, max: 16.1, unit: "km/ℓ" },
+    }
+  );
+  // 전기차, 도심·고속이 없는 값
+  assert.deepEqual(plain(parseFuelEfficiency("복합 4.7 km/kWh")), {
+    unit: "km/kWh",
+    combined: { min: 4.7, max: 4.7, unit: "km/kWh" },
+  });
+  assert.equal(parseFuelEfficiency("복합 12.5km/L").unit, "km/ℓ");
+  // 단위가 없으면 읽지 않음
+  for (const text of ["-", "복합 14.4~15", undefined]) {
+    assert.equal(parseFuelEfficiency(text), null);
+  }
+});
+
+test("getCarSpecs: 연료 목록, - 자리표시, 연료가 없는 항목", () => {
+  assert.deepEqual(
+    plain(
+      getCarSpecs({
+        price: "2,400~3,284만원",
+        fuelEfficiency: "복합 9.8~13.6km/ℓ",
+        fuel: "LPG, 가솔린",
+      })
+    ),
+    {
+      price: { min: 2400, max: 3284, unit: "만원" },
+      efficiency: {
+        unit: "km/ℓ",
+        combined: { min: 9.8, max: 13.6, unit: "km/ℓ" },
+      },
+      fuels: ["LPG", "가솔린"],
+    }
+  );
+  // 새 차종 가르치기에서 비워 둔 값은 "-"
+  assert.deepEqual(
+    plain(getCarSpecs({ price: "-", fuelEfficiency: "-", fuel: "-" })),
+    { price: null, efficiency: null, fuels: [] }
+  );
+  // fuel 이 없는 catalog 항목도 오류 없이 빈 목록
+  assert.deepEqual(plain(getCarSpecs({ name: "모닝" })), {
+    price: null,
+    efficiency: null,
+    fuels: [],
+  });
+});
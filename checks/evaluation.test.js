@@ -0,0 +1,75 @@
+// evaluation.js: 예측 결과로 정확도, 혼동 행렬, 클래스별 precision / recall 을 계산하는지 확인
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadBrowserScripts } from "./browserScripts.js";
+
+// 평가 페이지의 요소는 계산에 쓰이지 않으므로 빈 요소로 대신함
+const get = loadBrowserScripts(["evaluation.js"], {
+  document: {
+    getElementById: () => ({ addEventListener() {} }),
+    getElementsByClassName: () => [{}],
+  },
+});
+const computeMetrics = get("computeMetrics");
+
+// [실제, 예측] 쌍 → computeMetrics 입력
+const toPredictions = (pairs) =>
+  pairs.map(([label, prediction]) => ({ label, prediction }));
+
+const assertCloseArrays = (actual, expected) =>
+  expected.forEach((value, i) =>
+    assert.ok(
+      Math.abs(actual[i] - value) < 1e-6,
+      `${i}: ${actual[i]} !== ${value}`
+    )
+  );
+
+test("computeMetrics: 정확도, 혼동 행렬[실제][예측], 클래스별 precision / recall", async () => {
+  const predictions = toPredictions([
+    [0, 0],
+    [0, 0],
+    [0, 1],
+    [1, 1],
+    [1, 0],
+    [2, 2],
+    [2, 1],
+    [2, 2],
+  ]);
+  // vm 안에서 만든 배열은 instanceof Array 가 아니므로 JSON 으로 다시 만듦
+  const metrics = JSON.parse(
+    JSON.stringify(await computeMetrics(predictions, 3))
+  );
+
+  assert.equal(metrics.correct, 5);
+  assert.equal(metrics.accuracy, 5 / 8);
+  assert.deepEqual(metrics.confusion, [
+    [2, 1, 0],
+    [1, 1, 0],
+    [0, 1, 2],
+  ]);
+  // precision: 열 방향, recall: 행 방향
+  assertCloseArrays(metrics.precision, [2 / 3, 1 / 3, 1]);
+  assertCloseArrays(metrics.recall, [2 / 3, 1 / 2, 2 / 3]);
+});
+
+test("computeMetrics: 예측되지 않았거나 테스트 사진이 없는 클래스는 0", async () => {
+  const metrics = JSON.parse(
+    JSON.stringify(
+      await computeMetrics(
+        toPredictions([
+          [0, 0],
+          [1, 0],
+        ]),
+        3
+      )
+    )
+  );
+  assert.equal(metrics.accuracy, 0.5);
+  assert.deepEqual(metrics.confusion, [
+    [1, 0, 0],
+    [1, 0, 0],
+    [0, 0, 0],
+  ]);
+  assertCloseArrays(metrics.precision, [0.5, 0, 0]);
+  assertCloseArrays(metrics.recall, [1, 0, 0]);
+});
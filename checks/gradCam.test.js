@@ -0,0 +1,44 @@
+// modelManager.js: GraphModel.execute 의 fused op 를 거친 tf.grad 가 model2 에서 기울기를 주는지 확인
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, readFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadBrowserScripts, tf } from "./browserScripts.js";
+import { loadModel } from "../server/classifier.js";
+
+const modelPath = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "model2",
+  "model.json"
+);
+const { weightsManifest } = JSON.parse(readFileSync(modelPath, "utf8"));
+const missing = weightsManifest
+  .flatMap((group) => group.paths)
+  .filter((shard) => !existsSync(path.join(path.dirname(modelPath), shard)));
+
+const get = loadBrowserScripts([
+  "modelCommon.js",
+  "preprocess.js",
+  "modelManager.js",
+]);
+const computeGradCam = get("computeGradCam");
+
+test(
+  "Grad-CAM: model2 특징맵에 대한 클래스 점수 기울기가 0 이 아님",
+  {
+    skip:
+      missing.length > 0 &&
+      `model2 가중치 샤드 ${missing.length}개가 없음: ${missing.join(", ")}`,
+  },
+  async () => {
+    const model = await loadModel(modelPath);
+    const image = tf.randomUniform([240, 320, 3], 0, 255, "int32");
+
+    // 기울기가 모두 0 이면 채널 가중치도 0 이라 히트맵 최댓값이 0 이 됨
+    const cam = computeGradCam(model, image, 0);
+    assert.equal(cam.shape.length, 2);
+    assert.ok(cam.max().dataSync()[0] > 0);
+  }
+);
@@ -0,0 +1,154 @@
+// gradientClipping.js: clipnorm, clipvalue, globalClipnorm 이 applyGradients, fit 에 적용되고 설정으로 다시 로드되는지 확인
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadBrowserScripts, tf } from "./browserScripts.js";
+
+const get = loadBrowserScripts([
+  "optimizerPatches.js",
+  "learningRateSchedules.js",
+  "optimizers.js",
+  "gradientClipping.js",
+]);
+const withGradientClipping = get("withGradientClipping");
+const CosineDecay = get("CosineDecay");
+const AdamWOptimizer = get("AdamWOptimizer");
+
+function assertCloseArrays(actual, expected, tolerance = 1e-6) {
+  actual.forEach((value, i) =>
+    assert.ok(
+      Math.abs(value - expected[i]) < tolerance,
+      `${i}: ${value} !== ${expected[i]}`
+    )
+  );
+}
+
+// 학습률 1 인 SGD 로 한 단계 → 변수마다 줄어든 양 (= 자른 기울기)
+function clippedSteps(config, gradients) {
+  const optimizer = withGradientClipping(tf.train.sgd(1), config);
+  const weights = gradients.map((g) => tf.variable(tf.zerosLike(g)));
+  optimizer.applyGradients(
+    weights.map((weight, i) => ({ name: weight.name, tensor: gradients[i] }))
+  );
+  return weights.map((weight) => Array.from(tf.neg(weight).dataSync()));
+}
+
+test("clipvalue: 원소마다 [-clipvalue, clipvalue] 로 자름", () => {
+  const [step] = clippedSteps({ clipvalue: 1 }, [tf.tensor1d([3, -0.5, -2])]);
+  assertCloseArrays(step, [1, -0.5, -1]);
+});
+
+test("clipnorm: 변수마다 따로 norm 을 clipnorm 이하로", () => {
+  const [large, small] = clippedSteps({ clipnorm: 1 }, [
+    tf.tensor1d([3, 4]),
+    tf.tensor1d([0.3, 0.4]),
+  ]);
+  assertCloseArrays(large, [0.6, 0.8]);
+  assertCloseArrays(small, [0.3, 0.4]);
+});
+
+test("globalClipnorm: 모든 기울기의 norm 을 합쳐서 같은 비율로 줄임", () => {
+  // 전체 norm 은 sqrt(9 + 16 + 144) = 13
+  const [first, second] = clippedSteps({ globalClipnorm: 1 }, [
+    tf.tensor1d([3, 4]),
+    tf.tensor1d([12]),
+  ]);
+  assertCloseArrays(first, [3 / 13, 4 / 13]);
+  assertCloseArrays(second, [12 / 13]);
+});
+
+test("설정은 하나만, 0 보다 커야 함", () => {
+  assert.throws(
+    () => withGradientClipping(tf.train.sgd(1), { clipnorm: 1, clipvalue: 1 }),
+    /하나만/
+  );
+  assert.throws(
+    () => withGradientClipping(tf.train.sgd(1), { clipnorm: 0 }),
+    /0 보다/
+  );
+});
+
+test("fit 도 자른 기울기로 변수를 갱신", async () => {
+  // 기울기가 아주 크도록 목표를 멀리 둠
+  const x = tf.ones([4, 3]);
+  const y = tf.fill([4, 1], 1000);
+  const norm = (values) => Math.hypot(...values);
+
+  for (const [config, check] of [
+    [
+      { clipvalue: 0.01 },
+      (kernel, bias) =>
+        [...kernel, ...bias].forEach((v) =>
+          assert.ok(Math.abs(Math.abs(v) - 0.01) < 1e-6)
+        ),
+    ],
+    [
+      { clipnorm: 0.01 },
+      (kernel, bias) => {
+        assert.ok(Math.abs(norm(kernel) - 0.01) < 1e-6);
+        assert.ok(Math.abs(norm(bias) - 0.01) < 1e-6);
+      },
+    ],
+    [
+      { globalClipnorm: 0.01 },
+      (kernel, bias) =>
+        assert.ok(Math.abs(norm([...kernel, ...bias]) - 0.01) < 1e-6),
+    ],
+  ]) {
+    const model = tf.sequential({
+      layers: [tf.layers.dense({ units: 1, inputShape: [3] })],
+    });
+    model.compile({
+      optimizer: withGradientClipping(tf.train.sgd(1), config),
+      loss: "meanSquaredError",
+    });
+    const before = model.getWeights().map((w) => Array.from(w.dataSync()));
+    await model.fit(x, y, { epochs: 1, batchSize: 4, verbose: 0 });
+    const [kernel, bias] = model
+      .getWeights()
+      .map((w, i) => Array.from(w.dataSync()).map((v, j) => v - before[i][j]));
+    check(kernel, bias);
+  }
+});
+
+test("자르기 설정을 학습 설정에 저장하고 다시 로드 (학습률 스케줄과 같이)", async () => {
+  const schedule = new CosineDecay({
+    initialLearningRate: 0.01,
+    decaySteps: 10,
+  });
+  for (const optimizer of [
+    withGradientClipping(tf.train.adam(schedule), { clipnorm: 1 }),
+    withGradientClipping(new AdamWOptimizer({ learningRate: schedule }), {
+      globalClipnorm: 0.5,
+    }),
+  ]) {
+    const model = tf.sequential({
+      layers: [tf.layers.dense({ units: 1, inputShape: [3] })],
+    });
+    model.compile({ optimizer, loss: "meanSquaredError" });
+
+    let artifacts;
+    await model.save(
+      tf.io.withSaveHandler(async (saved) => {
+        artifacts = saved;
+        return { modelArtifactsInfo: { dateSaved: new Date() } };
+      }),
+      { includeOptimizer: true }
+    );
+    // 저장한 파일처럼 학습 설정은 JSON 을 거침
+    const loaded = await tf.loadLayersModel(
+      tf.io.fromMemory({
+        ...artifacts,
+        trainingConfig: JSON.parse(JSON.stringify(artifacts.trainingConfig)),
+      })
+    );
+    assert.equal(loaded.optimizer.getClassName(), optimizer.getClassName());
+    assert.ok(loaded.optimizer.learningRate instanceof CosineDecay);
+    assert.deepEqual(
+      JSON.parse(JSON.stringify(loaded.optimizer.getConfig())),
+      JSON.parse(JSON.stringify(optimizer.getConfig()))
+    );
+    for (const key of ["clipnorm", "clipvalue", "globalClipnorm"]) {
+      assert.equal(loaded.optimizer[key], optimizer[key]);
+    }
+  }
+});
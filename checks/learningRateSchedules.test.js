@@ -0,0 +1,164 @@
+// learningRateSchedules.js: Keras 와 같은 학습률을 계산하고 설정으로 다시 만들어지는지 확인
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadBrowserScripts, tf } from "./browserScripts.js";
+
+const get = loadBrowserScripts([
+  "optimizerPatches.js",
+  "learningRateSchedules.js",
+]);
+const ExponentialDecay = get("ExponentialDecay");
+const PiecewiseConstantDecay = get("PiecewiseConstantDecay");
+const CosineDecay = get("CosineDecay");
+const PolynomialDecay = get("PolynomialDecay");
+
+const assertClose = (actual, expected) =>
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} !== ${expected}`);
+
+// 등록된 fromConfig 로 옵티마이저를 다시 만듦 (모델을 로드할 때와 같은 경로)
+function fromConfigOf(className, config) {
+  const [cls, fromConfig] =
+    tf.serialization.SerializationMap.getMap().classNameMap[className];
+  return fromConfig(cls, config);
+}
+
+// Keras 의 코사인 감쇠 식
+const cosine = (learningRate, step, decaySteps, alpha) =>
+  learningRate *
+  ((1 - alpha) *
+    0.5 *
+    (1 + Math.cos((Math.PI * Math.min(step, decaySteps)) / decaySteps)) +
+    alpha);
+
+test("ExponentialDecay: 연속, 계단식", () => {
+  const config = { initialLearningRate: 0.1, decaySteps: 10, decayRate: 0.5 };
+  const smooth = new ExponentialDecay(config);
+  const staircase = new ExponentialDecay({ ...config, staircase: true });
+  assertClose(smooth.call(0), 0.1);
+  assertClose(smooth.call(5), 0.1 * 0.5 ** 0.5);
+  assertClose(smooth.call(20), 0.025);
+  assertClose(staircase.call(9), 0.1);
+  assertClose(staircase.call(10), 0.05);
+  assertClose(staircase.call(25), 0.025);
+});
+
+test("PiecewiseConstantDecay: 경계 값은 앞 구간에 포함", () => {
+  const schedule = new PiecewiseConstantDecay({
+    boundaries: [10, 20],
+    values: [1, 0.5, 0.1],
+  });
+  assert.equal(schedule.call(0), 1);
+  assert.equal(schedule.call(10), 1);
+  assert.equal(schedule.call(11), 0.5);
+  assert.equal(schedule.call(20), 0.5);
+  assert.equal(schedule.call(21), 0.1);
+  assert.throws(
+    () => new PiecewiseConstantDecay({ boundaries: [10], values: [1] }),
+    /boundaries/
+  );
+});
+
+test("CosineDecay: warmupTarget 이 없으면 warmupSteps 를 무시하고 0 단계부터 줄임", () => {
+  const schedule = new CosineDecay({
+    initialLearningRate: 0.1,
+    decaySteps: 100,
+    alpha: 0.1,
+    warmupSteps: 20,
+  });
+  for (const step of [0, 10, 50, 100, 150]) {
+    assertClose(schedule.call(step), cosine(0.1, step, 100, 0.1));
+  }
+  assert.ok(schedule.call(10) < 0.1);
+});
+
+test("CosineDecay: warmupTarget 까지 선형으로 올린 뒤 줄임", () => {
+  const schedule = new CosineDecay({
+    initialLearningRate: 0,
+    decaySteps: 100,
+    alpha: 0.1,
+    warmupTarget: 0.2,
+    warmupSteps: 20,
+  });
+  assertClose(schedule.call(0), 0);
+  assertClose(schedule.call(10), 0.1);
+  for (const step of [20, 70, 120, 200]) {
+    assertClose(schedule.call(step), cosine(0.2, step - 20, 100, 0.1));
+  }
+});
+
+test("PolynomialDecay: 끝난 뒤에는 endLearningRate, cycle 이면 다시 처음부터", () => {
+  const config = {
+    initialLearningRate: 0.1,
+    decaySteps: 10,
+    endLearningRate: 0.01,
+    power: 2,
+  };
+  const schedule = new PolynomialDecay(config);
+  assertClose(schedule.call(0), 0.1);
+  assertClose(schedule.call(5), 0.09 * 0.25 + 0.01);
+  assertClose(schedule.call(30), 0.01);
+
+  const cyclic = new PolynomialDecay({ ...config, cycle: true });
+  assertClose(cyclic.call(10), 0.01);
+  // 15 단계는 두 번째 주기(decaySteps 20)의 중간
+  assertClose(cyclic.call(15), 0.09 * 0.25 ** 2 + 0.01);
+});
+
+test("스케줄을 받은 옵티마이저가 단계마다 학습률을 바꾸고 설정으로 다시 만들어짐", () => {
+  const schedule = new CosineDecay({
+    initialLearningRate: 0.1,
+    decaySteps: 4,
+    warmupTarget: 0.5,
+    warmupSteps: 2,
+  });
+  const optimizer = tf.train.sgd(schedule);
+  const weight = tf.variable(tf.scalar(0));
+  const steps = [];
+  for (let i = 0; i < 4; i++) {
+    const before = weight.dataSync()[0];
+    // 기울기가 1 이므로 한 단계에 학습률만큼 줄어듦
+    optimizer.applyGradients({ [weight.name]: tf.scalar(1) });
+    steps.push(before - weight.dataSync()[0]);
+  }
+  [0, 1, 2, 3].forEach((step, i) =>
+    assert.ok(Math.abs(steps[i] - schedule.call(step)) < 1e-6)
+  );
+  assert.equal(optimizer.learningRate, schedule);
+
+  const config = JSON.parse(JSON.stringify(optimizer.getConfig()));
+  assert.deepEqual(config.learningRate, {
+    className: "CosineDecay",
+    config: {
+      name: null,
+      initialLearningRate: 0.1,
+      decaySteps: 4,
+      alpha: 0,
+      warmupTarget: 0.5,
+      warmupSteps: 2,
+    },
+  });
+  const restored = fromConfigOf(optimizer.getClassName(), config);
+  assert.ok(restored.learningRate instanceof CosineDecay);
+  assert.deepEqual(JSON.parse(JSON.stringify(restored.getConfig())), config);
+
+  // 스케줄마다 설정 → 스케줄 → 설정이 같음
+  for (const original of [
+    new ExponentialDecay({
+      initialLearningRate: 0.1,
+      decaySteps: 10,
+      decayRate: 0.9,
+      staircase: true,
+    }),
+    new PiecewiseConstantDecay({ boundaries: [5], values: [0.1, 0.01] }),
+    schedule,
+    new PolynomialDecay({ initialLearningRate: 0.1, decaySteps: 10 }),
+  ]) {
+    const optimizerConfig = tf.train.adam(original).getConfig();
+    const reloaded = fromConfigOf("Adam", optimizerConfig);
+    assert.equal(reloaded.learningRate.constructor, original.constructor);
+    assert.deepEqual(
+      JSON.parse(JSON.stringify(reloaded.learningRate.getConfig())),
+      JSON.parse(JSON.stringify(original.getConfig()))
+    );
+  }
+});
@@ -0,0 +1,84 @@
+// modelCommon.js: 브라우저와 서버가 같은 함수를 쓰는지 확인
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadBrowserScripts, tf } from "./browserScripts.js";
+import {
+  getFeatureNode,
+  preprocessImage,
+  loadCatalog,
+} from "../server/classifier.js";
+
+const modelDir = path.join(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "..",
+  "model2"
+);
+const modelJSON = JSON.parse(
+  readFileSync(path.join(modelDir, "model.json"), "utf8")
+);
+// 가중치 없이 토폴로지만 쓰는 함수에 넘길 모델 모양
+const model = {
+  modelSignature: modelJSON.signature,
+  artifacts: { modelTopology: modelJSON.modelTopology },
+};
+
+const get = loadBrowserScripts(["modelCommon.js", "preprocess.js"]);
+
+test("특징 벡터 노드: 서버 임베딩과 브라우저 features 가 같은 dense_2 출력", () => {
+  const featureNode = get("getFeatureNode")(model);
+  assert.equal(featureNode, getFeatureNode(model));
+  assert.equal(
+    featureNode,
+    "StatefulPartitionedCall/sequential_1/dense_2/mul_1"
+  );
+  assert.deepEqual(get("getClassifierNode")(model).input.slice(0, 1), [
+    featureNode,
+  ]);
+});
+
+test("전처리: 페이지와 서버가 같은 입력을 만듦", () => {
+  const pixels = tf.randomUniform([120, 200, 3], 0, 255, "int32");
+  for (const fit of ["stretch", "center-crop", "letterbox"]) {
+    const preprocessing = {
+      ...get("defaultPreprocessing"),
+      inputSize: [64, 64],
+      fit,
+      interpolation: "bilinear",
+      padValue: 128,
+    };
+    const browserInput = get("preprocessImage")(pixels, preprocessing);
+    const serverInput = preprocessImage(pixels, preprocessing);
+    assert.deepEqual(browserInput.shape, [1, 64, 64, 3]);
+    assert.deepEqual(browserInput.arraySync(), serverInput.arraySync());
+  }
+});
+
+test("catalog.json 검사: 페이지와 서버가 같은 규칙으로 확인", async () => {
+  const validateCatalog = get("validateCatalog");
+  const { classes } = JSON.parse(
+    readFileSync(path.join(modelDir, "catalog.json"), "utf8")
+  );
+  const numClasses = get("getNumClasses")(model);
+  // vm 안에서 만든 배열은 instanceof Array 가 아니므로 JSON 으로 다시 만듦
+  const catalog = JSON.parse(
+    JSON.stringify(validateCatalog(classes, numClasses))
+  );
+  assert.equal(numClasses, 4);
+  assert.deepEqual(
+    catalog.map((entry) => entry.index),
+    [0, 1, 2, 3]
+  );
+  assert.deepEqual(
+    await loadCatalog(path.join(modelDir, "model.json"), model),
+    catalog
+  );
+
+  assert.throws(() => validateCatalog(classes, numClasses + 1), /클래스 수/);
+  const duplicated = classes.map((entry) => ({ ...entry, index: 0 }));
+  assert.throws(() => validateCatalog(duplicated, numClasses), /중복/);
+  const outOfRange = classes.map((entry, i) => ({ ...entry, index: i + 1 }));
+  assert.throws(() => validateCatalog(outOfRange, numClasses), /index/);
+});
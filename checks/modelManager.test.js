@@ -0,0 +1,112 @@
+// modelManager.js: 가중치 샤드의 크기·해시를 확인하고 문제가 있는 샤드와 가중치 이름을 알려주는지 확인
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHash } from "crypto";
+import { loadBrowserScripts } from "./browserScripts.js";
+
+// 샤드는 파일 이름 → 내용 으로 대신 응답 (없으면 404)
+let shards = {};
+const fetchShard = async (url) => {
+  const body = shards[url.pathname.split("/").pop()];
+  return body ? new Response(body) : new Response(null, { status: 404 });
+};
+
+const get = loadBrowserScripts(["modelManager.js"], {
+  fetch: fetchShard,
+  URL,
+  crypto,
+  self: { crypto },
+});
+const inferShardSize = get("inferShardSize");
+const loadVerifiedWeights = get("loadVerifiedWeights");
+const ModelIntegrityError = get("ModelIntegrityError");
+
+const baseUrl = new URL("http://localhost/model2/model.json");
+const sha256 = (bytes) => createHash("sha256").update(bytes).digest("hex");
+
+// 가중치 20 bytes (a: 12, b: 8) 를 변환기처럼 8 bytes 씩 자른 샤드 3 개
+const weightBytes = Uint8Array.from({ length: 20 }, (_, i) => i);
+const paths = ["shard1of3.bin", "shard2of3.bin", "shard3of3.bin"];
+const shardBytes = [
+  weightBytes.slice(0, 8),
+  weightBytes.slice(8, 16),
+  weightBytes.slice(16),
+];
+const manifest = [
+  {
+    paths,
+    weights: [
+      { name: "a", shape: [3], dtype: "float32" },
+      { name: "b", shape: [2], dtype: "float32" },
+    ],
+    sha256: shardBytes.map(sha256),
+  },
+];
+
+const serve = (bytes) => {
+  shards = Object.fromEntries(paths.map((path, i) => [path, bytes[i]]));
+};
+
+// 실패한 샤드 목록 [{ path, reason, weights }]
+async function loadProblems() {
+  const error = await loadVerifiedWeights(manifest, baseUrl).then(
+    () => assert.fail("ModelIntegrityError 가 나야 함"),
+    (error) => error
+  );
+  assert.ok(error instanceof ModelIntegrityError);
+  // vm 안에서 만든 배열은 instanceof Array 가 아니므로 JSON 으로 다시 만듦
+  return JSON.parse(JSON.stringify(error.problems));
+}
+
+test("inferShardSize: 받은 샤드 크기로 샤드 크기를 추정", () => {
+  assert.equal(inferShardSize([8, 8, 4], 20), 8);
+  // 가운데 샤드가 없거나 잘려도 많은 쪽 크기
+  assert.equal(inferShardSize([8, null, 4], 20), 8);
+  assert.equal(inferShardSize([8, 5, 8, 4], 28), 8);
+  // 마지막 샤드만 받았으면 나머지 크기를 나눔
+  assert.equal(inferShardSize([null, null, 4], 20), 8);
+  assert.equal(inferShardSize([20], 20), 20);
+  assert.equal(inferShardSize([null, null], 20), 4 * 1024 * 1024);
+});
+
+test("loadVerifiedWeights: 크기와 해시가 맞으면 이어 붙인 가중치를 반환", async () => {
+  serve(shardBytes);
+  const progress = [];
+  const [specs, buffer] = await loadVerifiedWeights(
+    manifest,
+    baseUrl,
+    (value) => progress.push(value)
+  );
+  assert.deepEqual(
+    specs.map((spec) => spec.name),
+    ["a", "b"]
+  );
+  assert.deepEqual(new Uint8Array(buffer), weightBytes);
+  assert.equal(progress[progress.length - 1], 1);
+});
+
+test("loadVerifiedWeights: 내용이 다른 샤드는 SHA-256 불일치", async () => {
+  const changed = shardBytes[2].slice();
+  changed[0] ^= 0xff;
+  serve([shardBytes[0], shardBytes[1], changed]);
+  assert.deepEqual(await loadProblems(), [
+    { path: "shard3of3.bin", reason: "SHA-256 불일치", weights: ["b"] },
+  ]);
+});
+
+test("loadVerifiedWeights: 잘린 샤드, 없는 샤드와 그 안의 가중치 이름", async () => {
+  serve([shardBytes[0], shardBytes[1].slice(0, 5), shardBytes[2]]);
+  assert.deepEqual(await loadProblems(), [
+    {
+      path: "shard2of3.bin",
+      reason: "크기 불일치: 5 / 8 bytes",
+      // 8~16 bytes 는 a 의 끝과 b 의 앞부분
+      weights: ["a", "b"],
+    },
+  ]);
+
+  serve([undefined, shardBytes[1], shardBytes[2]]);
+  assert.deepEqual(await loadProblems(), [
+    { path: "shard1of3.bin", reason: "없음: HTTP 404", weights: ["a"] },
+  ]);
+});
@@ -0,0 +1,210 @@
+// optimizers.js: AdamW, Nadam, Lion 이 Keras 와 같은 식으로 변수를 바꾸고, 상태와 설정이 다시 로드되는지 확인
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadBrowserScripts, tf } from "./browserScripts.js";
+
+const get = loadBrowserScripts([
+  "optimizerPatches.js",
+  "learningRateSchedules.js",
+  "optimizers.js",
+]);
+const AdamWOptimizer = get("AdamWOptimizer");
+const NadamOptimizer = get("NadamOptimizer");
+const LionOptimizer = get("LionOptimizer");
+
+const initial = [0.5, -1, 2];
+const gradients = [
+  [0.1, -0.2, 0.3],
+  [-0.4, 0.5, 0.6],
+];
+
+// 기울기를 차례로 적용한 뒤의 변수 값
+function runOptimizer(optimizer, steps = gradients) {
+  const weight = tf.variable(tf.tensor1d(initial));
+  for (const gradient of steps) {
+    optimizer.applyGradients({ [weight.name]: tf.tensor1d(gradient) });
+  }
+  return Array.from(weight.dataSync());
+}
+
+function assertCloseArrays(actual, expected, tolerance = 1e-6) {
+  actual.forEach((value, i) =>
+    assert.ok(
+      Math.abs(value - expected[i]) < tolerance,
+      `${i}: ${value} !== ${expected[i]}`
+    )
+  );
+}
+
+// 아래는 Keras(keras.optimizers) update_step 을 원소마다 그대로 옮긴 식
+function kerasAdamW({ learningRate, weightDecay, beta1, beta2, epsilon }) {
+  return initial.map((start, i) => {
+    let value = start;
+    let m = 0;
+    let v = 0;
+    gradients.forEach((steps, t) => {
+      const g = steps[i];
+      const step = t + 1;
+      value -= value * weightDecay * learningRate;
+      const alpha =
+        (learningRate * Math.sqrt(1 - beta2 ** step)) / (1 - beta1 ** step);
+      m += (g - m) * (1 - beta1);
+      v += (g * g - v) * (1 - beta2);
+      value -= (m * alpha) / (Math.sqrt(v) + epsilon);
+    });
+    return value;
+  });
+}
+
+function kerasNadam({ learningRate, beta1, beta2, epsilon }) {
+  return initial.map((start, i) => {
+    let value = start;
+    let m = 0;
+    let v = 0;
+    let uProduct = 1;
+    gradients.forEach((steps, t) => {
+      const g = steps[i];
+      const step = t + 1;
+      const u = beta1 * (1 - 0.5 * 0.96 ** step);
+      const uNext = beta1 * (1 - 0.5 * 0.96 ** (step + 1));
+      uProduct *= u;
+      m += (g - m) * (1 - beta1);
+      v += (g * g - v) * (1 - beta2);
+      const mHat =
+        (uNext * m) / (1 - uProduct * uNext) + ((1 - u) * g) / (1 - uProduct);
+      const vHat = v / (1 - beta2 ** step);
+      value -= (mHat * learningRate) / (Math.sqrt(vHat) + epsilon);
+    });
+    return value;
+  });
+}
+
+function kerasLion({ learningRate, beta1, beta2, weightDecay }) {
+  return initial.map((start, i) => {
+    let value = start;
+    let m = 0;
+    gradients.forEach((steps) => {
+      const g = steps[i];
+      value -= value * weightDecay * learningRate;
+      value -= learningRate * Math.sign(m * beta1 + g * (1 - beta1));
+      m = m * beta2 + g * (1 - beta2);
+    });
+    return value;
+  });
+}
+
+const cases = [
+  {
+    name: "adamw",
+    cls: AdamWOptimizer,
+    config: {
+      learningRate: 0.01,
+      weightDecay: 0.1,
+      beta1: 0.9,
+      beta2: 0.999,
+      epsilon: 1e-7,
+    },
+    expected: kerasAdamW,
+  },
+  {
+    name: "nadam",
+    cls: NadamOptimizer,
+    config: { learningRate: 0.01, beta1: 0.9, beta2: 0.999, epsilon: 1e-7 },
+    expected: kerasNadam,
+  },
+  {
+    name: "lion",
+    cls: LionOptimizer,
+    config: { learningRate: 0.01, beta1: 0.9, beta2: 0.99, weightDecay: 0.1 },
+    expected: kerasLion,
+  },
+];
+
+for (const { name, cls, config, expected } of cases) {
+  test(`${cls.className}: Keras 식과 같은 값으로 변수를 바꿈`, () => {
+    const optimizer = new cls(config);
+    assertCloseArrays(runOptimizer(optimizer), expected(config));
+    assert.equal(optimizer.iterations, gradients.length);
+  });
+
+  test(`${cls.className}: compile 에 이름으로 넘기면 기본 설정으로 만듦`, async () => {
+    const model = tf.sequential({
+      layers: [tf.layers.dense({ units: 1, inputShape: [3] })],
+    });
+    model.compile({ optimizer: name.toUpperCase(), loss: "meanSquaredError" });
+    assert.ok(model.optimizer instanceof cls);
+    assert.deepEqual(model.optimizer.getConfig(), new cls().getConfig());
+
+    const history = await model.fit(tf.ones([4, 3]), tf.ones([4, 1]), {
+      epochs: 2,
+      verbose: 0,
+    });
+    assert.ok(history.history.loss.every(Number.isFinite));
+  });
+
+  test(`${cls.className}: getWeights 로 꺼낸 상태를 setWeights 로 이어서 학습`, async () => {
+    const [first, second] = gradients;
+    const optimizer = new cls(config);
+    runOptimizer(optimizer, [first]);
+
+    const weights = await optimizer.getWeights();
+    assert.equal(weights[0].name, "iter");
+    // 반복 횟수 + 변수 하나의 슬롯들
+    assert.equal(weights.length, 1 + optimizer.slotNames.length);
+
+    const resumed = new cls(config);
+    await resumed.setWeights(weights);
+    assert.equal(resumed.iterations, 1);
+    // 같은 상태에서 같은 기울기를 적용하면 결과도 같음
+    const continued = tf.variable(tf.tensor1d(initial));
+    const restarted = tf.variable(tf.tensor1d(initial));
+    optimizer.applyGradients({ [continued.name]: tf.tensor1d(second) });
+    resumed.applyGradients({ [restarted.name]: tf.tensor1d(second) });
+    assertCloseArrays(
+      Array.from(restarted.dataSync()),
+      Array.from(continued.dataSync())
+    );
+  });
+
+  test(`${cls.className}: 학습 설정과 옵티마이저 상태를 저장하고 다시 로드`, async () => {
+    const model = tf.sequential({
+      layers: [tf.layers.dense({ units: 1, inputShape: [3] })],
+    });
+    model.compile({ optimizer: new cls(config), loss: "meanSquaredError" });
+    await model.fit(tf.ones([4, 3]), tf.ones([4, 1]), {
+      epochs: 2,
+      verbose: 0,
+    });
+
+    let artifacts;
+    await model.save(
+      tf.io.withSaveHandler(async (saved) => {
+        artifacts = saved;
+        return { modelArtifactsInfo: { dateSaved: new Date() } };
+      }),
+      { includeOptimizer: true }
+    );
+    assert.equal(
+      artifacts.trainingConfig.optimizer_config.class_name,
+      cls.className
+    );
+
+    const loaded = await tf.loadLayersModel(tf.io.fromMemory(artifacts));
+    assert.ok(loaded.optimizer instanceof cls);
+    assert.deepEqual(loaded.optimizer.getConfig(), model.optimizer.getConfig());
+    assert.equal(loaded.optimizer.iterations, model.optimizer.iterations);
+
+    const saved = await model.optimizer.getWeights();
+    const restored = await loaded.optimizer.getWeights();
+    assert.deepEqual(
+      restored.map((w) => w.name),
+      saved.map((w) => w.name)
+    );
+    restored.forEach((w, i) =>
+      assertCloseArrays(
+        Array.from(w.tensor.dataSync()),
+        Array.from(saved[i].tensor.dataSync())
+      )
+    );
+  });
+}
@@ -0,0 +1,60 @@
+// index.js: 사이트 파일만 제공하고 저장소의 다른 파일은 감추는지 확인
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "child_process";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const port = 3000 + Math.floor(Math.random() * 1000);
+
+// 서버를 띄우고 주소가 출력될 때까지 기다림
+function startServer() {
+  const server = spawn(process.execPath, ["index.js"], {
+    cwd: rootDir,
+    env: { ...process.env, PORT: String(port) },
+  });
+  return new Promise((resolve, reject) => {
+    server.stdout.on("data", (chunk) => {
+      if (String(chunk).includes(`localhost:${port}`)) {
+        resolve(server);
+      }
+    });
+    server.on("error", reject);
+    server.on("exit", (code) => reject(new Error(`서버 종료 (${code})`)));
+  });
+}
+
+test("정적 파일: 사이트 파일만 200, 나머지는 404", async () => {
+  const server = await startServer();
+  const status = async (url) =>
+    (await fetch(`http://localhost:${port}${url}`)).status;
+  try {
+    for (const url of [
+      "/",
+      "/sub3.html",
+      "/modelManager.js",
+      "/manifest.webmanifest",
+      "/css/main.css",
+      "/model2/model.json",
+      `/images/${encodeURIComponent("스파크.png")}`,
+    ]) {
+      assert.equal(await status(url), 200, url);
+    }
+    for (const url of [
+      "/package.json",
+      "/index.js",
+      "/requests.jsonl",
+      "/server/classifier.js",
+      "/checks/server.test.js",
+      "/node_modules/express/package.json",
+      "/..%2fserver%2fclassifier.js",
+      "/server%2fclassifier.js",
+      "/.gitignore",
+    ]) {
+      assert.equal(await status(url), 404, url);
+    }
+  } finally {
+    server.kill();
+  }
+});
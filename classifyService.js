@@ -0,0 +1,183 @@
+// 분류 서비스: 가능하면 Web Worker 에서 추론하고, 안 되면 메인 스레드에서 실행
+let classifierPromise = null;
+let catalogPromise = null;
+
+// Worker 를 띄우고 모델 로드가 끝날 때까지 기다림 (지원하지 않으면 null)
+function startWorker(onProgress) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker("./classifyWorker.js");
+
+    const fail = (error) => {
+      worker.terminate();
+      reject(error);
+    };
+
+    worker.onmessage = ({ data: message }) => {
+      if (message.type === "progress") {
+        onProgress?.(message.fraction);
+      } else if (message.type === "ready") {
+        resolve({ worker, ...message });
+      } else if (message.type === "unsupported") {
+        worker.terminate();
+        resolve(null);
+      } else if (message.type === "error") {
+        fail(
+          message.problems
+            ? new ModelIntegrityError(message.problems)
+            : new Error(message.message)
+        );
+      }
+    };
+    worker.onerror = (event) => {
+      event.preventDefault();
+      fail(new Error(event.message));
+    };
+
+    worker.postMessage({ type: "init" });
+  });
+}
+
+// Worker 로 보낼 수 있게 이미지(또는 웹캠 프레임 텐서)를 ImageBitmap 으로 변환
+async function toImageBitmap(image) {
+  if (image instanceof tf.Tensor) {
+    const [height, width] = image.shape;
+    const pixels = await tf.browser.toPixels(image);
+    return createImageBitmap(new ImageData(pixels, width, height));
+  }
+  return createImageBitmap(image);
+}
+
+function createWorkerClassifier({
+  worker,
+  backend,
+  numClasses,
+  modelVersion,
+  featureNode,
+  classifierWeights,
+}) {
+  const pending = new Map();
+  let nextId = 0;
+  // Worker 가 죽은 이유 (이후 요청은 바로 실패)
+  let crashed = null;
+
+  const request = async (type, images, options = {}) => {
+    if (crashed) {
+      throw crashed;
+    }
+    const bitmaps = await Promise.all(images.map(toImageBitmap));
+    // 변환하는 사이 Worker 가 죽었으면 pending 은 이미 비워졌으므로 여기서 실패
+    if (crashed) {
+      bitmaps.forEach((bitmap) => bitmap.close());
+      throw crashed;
+    }
+    const id = nextId++;
+
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject });
+      // ImageBitmap 은 복사하지 않고 Worker 로 넘김
+      worker.postMessage({ type, id, bitmaps, ...options }, bitmaps);
+    });
+  };
+
+  const classifier = {
+    backend: `worker (${backend})`,
+    numClasses,
+    modelVersion,
+    // 특징 벡터(features)를 꺼내는 노드 이름
+    featureNode,
+    classifierWeights,
+    // Worker 쪽 tf.memory() (디버그 표시용)
+    memory: null,
+    classify: (images) => request("classify", images),
+    features: (images) => request("features", images),
+    gradCam: (image, classIndex) => request("gradCam", [image], { classIndex }),
+  };
+
+  worker.onmessage = ({ data: message }) => {
+    const pendingRequest = pending.get(message.id);
+    if (!pendingRequest) {
+      return;
+    }
+    pending.delete(message.id);
+
+    if (message.type === "result") {
+      classifier.memory = message.memory;
+      pendingRequest.resolve(message.values);
+    } else {
+      pendingRequest.reject(new Error(message.message));
+    }
+  };
+
+  // 실행 중 Worker 가 죽으면 (WebGL 컨텍스트 손실, 스크립트 오류 등)
+  // 기다리던 요청을 모두 실패시키고 다음 getClassifier 에서 새로 만들게 함
+  const crash = (error) => {
+    crashed = error;
+    worker.terminate();
+    pending.forEach(({ reject }) => reject(error));
+    pending.clear();
+    classifierPromise = null;
+  };
+  worker.onerror = (event) => {
+    event.preventDefault();
+    crash(new Error(`분류 Worker 오류: ${event.message}`));
+  };
+  worker.onmessageerror = () => {
+    crash(new Error("분류 Worker 의 응답을 읽을 수 없습니다"));
+  };
+
+  return classifier;
+}
+
+async function createMainThreadClassifier(onProgress) {
+  const model = await getModel(onProgress);
+  return {
+    backend: tf.getBackend(),
+    numClasses: getNumClasses(model),
+    modelVersion,
+    featureNode: getFeatureNode(model),
+    classifierWeights: await getClassifierWeights(model),
+    classify: (images) => classifyImages(model, images),
+    features: (images) => extractFeatures(model, images),
+    gradCam: (image, classIndex) => explainImage(model, image, classIndex),
+  };
+}
+
+async function loadClassifier(onProgress) {
+  if (typeof Worker !== "undefined" && typeof OffscreenCanvas !== "undefined") {
+    const started = await startWorker(onProgress);
+    if (started) {
+      return withCustomHead(createWorkerClassifier(started));
+    }
+    console.warn("Worker 에서 WebGL 을 쓸 수 없어 메인 스레드에서 추론합니다.");
+  }
+  return withCustomHead(await createMainThreadClassifier(onProgress));
+}
+
+// 분류기를 한 번만 만들어서 돌려준다
+function getClassifier(onProgress) {
+  if (!classifierPromise) {
+    classifierPromise = loadClassifier(onProgress).catch((error) => {
+      classifierPromise = null;
+      throw error;
+    });
+  }
+  return classifierPromise;
+}
+
+// 차량 정보를 한 번만 로드해서 돌려준다
+// 새로 학습한 차종(customCars.js)은 model2 차종 뒤에 붙음
+async function getCatalog(onProgress) {
+  if (!catalogPromise) {
+    catalogPromise = getClassifier(onProgress)
+      .then((classifier) => loadCatalog(classifier.numClasses))
+      .catch((error) => {
+        catalogPromise = null;
+        throw error;
+      });
+  }
+  const [catalog, customHead] = await Promise.all([
+    catalogPromise,
+    getCustomHead(),
+  ]);
+  return customHead ? [...catalog, ...customHead.classes] : catalog;
+}
@@ -0,0 +1,69 @@
+// 메인 스레드 밖에서 model2 추론을 실행하는 Web Worker
+importScripts(
+  "./@tensorflow/tfjs/dist/tf.min.js",
+  "./modelCommon.js",
+  "./preprocess.js",
+  "./modelManager.js"
+);
+
+let model = null;
+
+async function init() {
+  // OffscreenCanvas WebGL 을 쓸 수 없으면 메인 스레드에서 실행하도록 알림
+  if (
+    typeof OffscreenCanvas === "undefined" ||
+    !(await tf.setBackend("webgl"))
+  ) {
+    postMessage({ type: "unsupported" });
+    return;
+  }
+
+  model = await getModel((fraction) => {
+    postMessage({ type: "progress", fraction });
+  });
+  postMessage({
+    type: "ready",
+    backend: tf.getBackend(),
+    numClasses: getNumClasses(model),
+    modelVersion,
+    featureNode: getFeatureNode(model),
+    classifierWeights: await getClassifierWeights(model),
+  });
+}
+
+// classify: 클래스별 확률, features: 새 차종 학습용 특징 벡터,
+// gradCam: 첫 번째 이미지의 classIndex 에 대한 예측 근거 히트맵
+const requestHandlers = {
+  classify: ({ bitmaps }) => classifyImages(model, bitmaps),
+  features: ({ bitmaps }) => extractFeatures(model, bitmaps),
+  gradCam: ({ bitmaps, classIndex }) =>
+    explainImage(model, bitmaps[0], classIndex),
+};
+
+onmessage = async ({ data: message }) => {
+  try {
+    if (message.type === "init") {
+      await init();
+    } else if (Object.hasOwn(requestHandlers, message.type)) {
+      let values;
+      try {
+        values = await requestHandlers[message.type](message);
+      } finally {
+        message.bitmaps.forEach((bitmap) => bitmap.close());
+      }
+      postMessage({
+        type: "result",
+        id: message.id,
+        values,
+        memory: tf.memory(),
+      });
+    }
+  } catch (error) {
+    postMessage({
+      type: "error",
+      id: message.id,
+      message: error.message,
+      problems: error.problems,
+    });
+  }
+};
@@ -0,0 +1,257 @@
+// 새 차종 가르치기: model2 를 dense_2 까지 고정하고 새 차종의 분류 가중치만 브라우저에서 학습
+// 학습한 분류층(헤드)과 새 차종 정보, 학습 예시는 IndexedDB 에 저장
+const CUSTOM_HEAD_URL = "indexeddb://car-custom-head";
+// 학습 예시(특징 벡터)는 크기가 커서 헤드 메타데이터가 아닌 별도 object store 에 저장
+const CUSTOM_EXAMPLES_DB = "car-custom-examples";
+const CUSTOM_EXAMPLES_STORE = "examples";
+
+const teachConfig = {
+  epochs: 50,
+  batchSize: 16,
+  learningRate: 0.01,
+  // 예시 사진마다 추가로 학습할 증강 사본 수 (augmentation.js)
+  augmentations: 4,
+};
+
+let customHeadPromise = null;
+let examplesDbPromise = null;
+
+function openExamplesDb() {
+  if (!examplesDbPromise) {
+    examplesDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(CUSTOM_EXAMPLES_DB, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(CUSTOM_EXAMPLES_STORE, {
+          autoIncrement: true,
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return examplesDbPromise;
+}
+
+// 저장된 학습 예시 [{ features, label }]
+async function loadExamples() {
+  const db = await openExamplesDb();
+  return new Promise((resolve, reject) => {
+    const request = db
+      .transaction(CUSTOM_EXAMPLES_STORE)
+      .objectStore(CUSTOM_EXAMPLES_STORE)
+      .getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// 저장된 학습 예시를 examples 로 모두 바꿈 (한 트랜잭션이라 중간에 실패하면 그대로 남음)
+async function saveExamples(examples) {
+  const db = await openExamplesDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(CUSTOM_EXAMPLES_STORE, "readwrite");
+    const store = transaction.objectStore(CUSTOM_EXAMPLES_STORE);
+    store.clear();
+    examples.forEach((example) => store.add(example));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// 저장된 헤드를 한 번만 불러옴 (없으면 null)
+// { model, classes: [catalog 항목], examples: [{ features, label }] }
+function getCustomHead() {
+  if (!customHeadPromise) {
+    customHeadPromise = tf.io
+      .listModels()
+      .then(async (models) => {
+        if (!models[CUSTOM_HEAD_URL]) {
+          return null;
+        }
+        const model = await tf.loadLayersModel(CUSTOM_HEAD_URL);
+        // 예전에는 예시도 메타데이터에 저장했음 (다음 학습 때 object store 로 옮겨짐)
+        const { classes, examples: savedExamples = [] } =
+          model.getUserDefinedMetadata();
+        const examples = await loadExamples();
+        return {
+          model,
+          classes,
+          examples: examples.length > 0 ? examples : savedExamples,
+        };
+      })
+      .catch((error) => {
+        console.warn("새 차종 헤드를 불러오지 못했습니다:", error);
+        return null;
+      });
+  }
+  return customHeadPromise;
+}
+
+// 헤드가 있으면 model2 의 특징 벡터에 헤드를 적용해서 분류
+function withCustomHead(classifier) {
+  const classifyBase = classifier.classify;
+
+  classifier.classify = async (images) => {
+    const customHead = await getCustomHead();
+    if (!customHead) {
+      return classifyBase(images);
+    }
+
+    const features = await classifier.features(images);
+    const output = tf.tidy(() =>
+      customHead.model.predict(tf.tensor2d(features))
+    );
+    try {
+      return await output.array();
+    } finally {
+      output.dispose();
+    }
+  };
+  return classifier;
+}
+
+// 기존 차종은 model2 의 dense_3 가중치를 고정해서 쓰고 새 차종 가중치(0 에서 시작)만 학습하는 헤드
+// 기존 차종 예시는 대표 사진 한 장뿐이라 같이 학습하면 model2 가 알던 차종을 잊어버림
+function createHead({ kernel, bias }, numClasses) {
+  const input = tf.input({ shape: [kernel.length] });
+  const baseLayer = tf.layers.dense({
+    units: bias.length,
+    trainable: false,
+    name: "base_classes",
+  });
+  const customLayer = tf.layers.dense({
+    units: numClasses - bias.length,
+    kernelInitializer: "zeros",
+    name: "custom_classes",
+  });
+  const logits = tf.layers
+    .concatenate()
+    .apply([baseLayer.apply(input), customLayer.apply(input)]);
+  const head = tf.model({
+    inputs: input,
+    outputs: tf.layers.activation({ activation: "softmax" }).apply(logits),
+  });
+
+  const baseWeights = [tf.tensor2d(kernel), tf.tensor1d(bias)];
+  baseLayer.setWeights(baseWeights);
+  tf.dispose(baseWeights);
+  return head;
+}
+
+// 결과 패널에 쓸 작은 대표 이미지 (data URL)
+function toThumbnail(image, size = 200) {
+  const scale = Math.min(1, size / Math.max(image.width, image.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(image.width * scale);
+  canvas.height = Math.round(image.height * scale);
+  canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL("image/jpeg", 0.8);
+}
+
+// 이미지 URL 을 이미지 요소로 로드
+const loadImageUrl = (url) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`${url} 을(를) 읽을 수 없습니다.`));
+    img.src = url;
+  });
+
+// 예시 이미지로 헤드를 학습하고 저장
+// info 는 새 차종이면 catalog 항목 정보 { name, price, fuelEfficiency, fuel }
+async function teachCar(info, images, onEpoch) {
+  const classifier = await getClassifier();
+  const catalog = await getCatalog();
+  const customHead = await getCustomHead();
+  const baseClasses = catalog.length - (customHead?.classes.length ?? 0);
+
+  // 같은 이름이 있으면 그 차종의 예시를 추가 (기존 차종은 가중치를 고정하므로 새로 가르친 차종만)
+  let entry = catalog.find((car) => car.name === info.name);
+  if (entry && entry.index < baseClasses) {
+    throw new Error(
+      `${entry.name} 은(는) 이미 분류할 수 있는 기존 차종입니다.`
+    );
+  }
+  const classes = [...(customHead?.classes ?? [])];
+  if (!entry) {
+    entry = {
+      index: catalog.length,
+      ...info,
+      image: toThumbnail(images[0]),
+    };
+    classes.push(entry);
+  }
+
+  // 기존 차종 예시: catalog 대표 이미지 (새 차종 출력이 기존 차종 사진에서는 낮게 나오도록)
+  // (새 차종만으로 학습하면 모든 사진을 새 차종으로 분류하게 됨)
+  const catalogImages = await Promise.all(
+    catalog.slice(0, baseClasses).map((car) => loadImageUrl(car.image))
+  );
+  const catalogFeatures = await classifier.features(catalogImages);
+  // 사진이 몇 장뿐이어도 각도·위치가 달라진 사진을 알아보도록 증강한 사본도 학습
+  const augmented = augmentImages(images, teachConfig.augmentations);
+  let newFeatures;
+  try {
+    newFeatures = await classifier.features([...images, ...augmented]);
+  } finally {
+    tf.dispose(augmented);
+  }
+  const examples = [
+    ...(customHead?.examples ?? []),
+    ...newFeatures.map((features) => ({ features, label: entry.index })),
+  ];
+  const trainExamples = [
+    ...catalogFeatures.map((features, label) => ({ features, label })),
+    ...examples,
+  ];
+
+  const numClasses = baseClasses + classes.length;
+  const head = createHead(classifier.classifierWeights, numClasses);
+  head.compile({
+    optimizer: tf.train.adam(teachConfig.learningRate),
+    loss: "categoricalCrossentropy",
+    metrics: ["accuracy"],
+  });
+
+  const xs = tf.tensor2d(trainExamples.map((example) => example.features));
+  const ys = tf.tidy(() =>
+    tf.oneHot(
+      tf.tensor1d(
+        trainExamples.map((example) => example.label),
+        "int32"
+      ),
+      numClasses
+    )
+  );
+  try {
+    await head.fit(xs, ys, {
+      epochs: teachConfig.epochs,
+      batchSize: teachConfig.batchSize,
+      shuffle: true,
+      callbacks: { onEpochEnd: (epoch, logs) => onEpoch?.(epoch, logs) },
+    });
+  } finally {
+    tf.dispose([xs, ys]);
+  }
+
+  // 헤드를 먼저 저장해야 예시 저장에 실패해도 저장된 예시의 label 이 모두 헤드 출력 안에 있음
+  head.setUserDefinedMetadata({ classes });
+  await head.save(CUSTOM_HEAD_URL);
+
+  customHead?.model.dispose();
+  customHeadPromise = Promise.resolve({ model: head, classes, examples });
+  await saveExamples(examples);
+  return entry;
+}
+
+// 학습한 차종을 모두 지우고 model2 만 사용
+async function resetCustomCars() {
+  const customHead = await getCustomHead();
+  if (customHead) {
+    await tf.io.removeModel(CUSTOM_HEAD_URL);
+    customHead.model.dispose();
+  }
+  await saveExamples([]);
+  customHeadPromise = Promise.resolve(null);
+}
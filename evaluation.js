@@ -0,0 +1,259 @@
+// 평가 페이지: flow_from_directory 형식의 테스트 폴더(클래스별 하위 폴더)로 model2 성능 확인
+const evaluationConfig = {
+  // 한 번에 모델에 넣을 이미지 수
+  batchSize: 8,
+};
+
+const testFolderInput = document.getElementById("testFolder");
+const evaluationStatus = document.getElementsByClassName("eval_status")[0];
+const evaluationSummary = document.getElementsByClassName("eval_summary")[0];
+const confusionTable = document.getElementsByClassName("confusion_matrix")[0];
+const metricsTable = document.getElementsByClassName("class_metrics")[0];
+const misclassifiedList = document.getElementsByClassName("misclassified")[0];
+
+let misclassifiedUrls = [];
+
+// "SPARK", "spark", "Ioniq 5" 처럼 쓴 폴더 이름도 같은 차종으로
+const normalizeName = (name) => name.toLowerCase().replace(/[\s_-]/g, "");
+
+// 폴더를 고르면 "test/SPARK/001.jpg" 처럼 webkitRelativePath 로 들어옴
+// 상위 폴더 이름이 catalog 차종 이름과 같은 이미지만 평가
+function getLabeledFiles(files, catalog) {
+  const indexByName = new Map(
+    catalog.map((car) => [normalizeName(car.name), car.index])
+  );
+  const labeled = [];
+  const skippedFolders = new Set();
+
+  for (const file of files) {
+    if (!file.type.startsWith("image/")) {
+      continue;
+    }
+    const folders = file.webkitRelativePath.split("/").slice(0, -1);
+    const folder = folders[folders.length - 1] ?? "";
+    const label = indexByName.get(normalizeName(folder));
+    if (label === undefined) {
+      skippedFolders.add(folder);
+    } else {
+      labeled.push({ file, label });
+    }
+  }
+  return { labeled, skippedFolders: [...skippedFolders] };
+}
+
+// 배치로 나눠 분류하고 [{ file, label, prediction, probability }] 반환
+async function predictFiles(classifier, labeled, onProgress) {
+  const predictions = [];
+  for (let i = 0; i < labeled.length; i += evaluationConfig.batchSize) {
+    const batch = labeled.slice(i, i + evaluationConfig.batchSize);
+    const images = await Promise.all(
+      batch.map(({ file }) => createImageBitmap(file))
+    );
+    let outputs;
+    try {
+      outputs = await classifier.classify(images);
+    } finally {
+      images.forEach((image) => image.close());
+    }
+
+    outputs.forEach((probabilities, j) => {
+      const probability = Math.max(...probabilities);
+      predictions.push({
+        ...batch[j],
+        prediction: probabilities.indexOf(probability),
+        probability,
+      });
+    });
+    onProgress(predictions.length / labeled.length);
+  }
+  return predictions;
+}
+
+// 맞힌 수와 정확도, 클래스별 precision / recall (tf.metrics 는 이진 분류용이라 클래스마다 one-vs-rest 로 계산)
+// 혼동 행렬 [실제][예측]
+async function computeMetrics(predictions, numClasses) {
+  const correct = predictions.filter(
+    ({ label, prediction }) => label === prediction
+  ).length;
+
+  const { confusion, precision, recall } = tf.tidy(() => {
+    const labels = tf.tensor1d(
+      predictions.map(({ label }) => label),
+      "int32"
+    );
+    const predicted = tf.tensor1d(
+      predictions.map(({ prediction }) => prediction),
+      "int32"
+    );
+
+    const precisions = [];
+    const recalls = [];
+    for (let c = 0; c < numClasses; c++) {
+      const yTrue = labels.equal(c).toFloat();
+      const yPred = predicted.equal(c).toFloat();
+      precisions.push(tf.metrics.precision(yTrue, yPred));
+      recalls.push(tf.metrics.recall(yTrue, yPred));
+    }
+
+    return {
+      confusion: tf.math.confusionMatrix(labels, predicted, numClasses),
+      precision: tf.stack(precisions),
+      recall: tf.stack(recalls),
+    };
+  });
+
+  try {
+    return {
+      correct,
+      accuracy: correct / predictions.length,
+      confusion: await confusion.array(),
+      precision: await precision.array(),
+      recall: await recall.array(),
+    };
+  } finally {
+    tf.dispose([confusion, precision, recall]);
+  }
+}
+
+// 표의 행에 칸 추가
+const appendCell = (row, tag, text) => {
+  const cell = document.createElement(tag);
+  cell.innerText = text;
+  row.appendChild(cell);
+  return cell;
+};
+
+// 혼동 행렬 표 (행: 실제, 열: 예측, 행 안에서의 비율만큼 진하게)
+function paintConfusionMatrix(confusion, catalog) {
+  confusionTable.innerHTML = "";
+
+  const header = document.createElement("tr");
+  appendCell(header, "th", "실제 \\ 예측");
+  catalog.forEach((car) => {
+    appendCell(header, "th", car.name);
+  });
+  confusionTable.appendChild(header);
+
+  confusion.forEach((row, actual) => {
+    const tr = document.createElement("tr");
+    const total = row.reduce((a, b) => a + b, 0);
+    appendCell(tr, "th", catalog[actual].name);
+
+    row.forEach((count, predicted) => {
+      const ratio = total > 0 ? count / total : 0;
+      const td = appendCell(tr, "td", count);
+      td.style.backgroundColor = `rgba(${
+        actual === predicted ? "0, 128, 255" : "255, 64, 64"
+      }, ${ratio})`;
+    });
+    confusionTable.appendChild(tr);
+  });
+}
+
+function paintClassMetrics({ confusion, precision, recall }, catalog) {
+  metricsTable.innerHTML = "";
+
+  const header = document.createElement("tr");
+  ["차종", "precision", "recall", "F1", "이미지 수"].forEach((title) => {
+    appendCell(header, "th", title);
+  });
+  metricsTable.appendChild(header);
+
+  catalog.forEach((car, i) => {
+    const f1 =
+      precision[i] + recall[i] > 0
+        ? (2 * precision[i] * recall[i]) / (precision[i] + recall[i])
+        : 0;
+    const support = confusion[i].reduce((a, b) => a + b, 0);
+
+    const tr = document.createElement("tr");
+    [
+      car.name,
+      precision[i].toFixed(3),
+      recall[i].toFixed(3),
+      f1.toFixed(3),
+      support,
+    ].forEach((value) => {
+      appendCell(tr, "td", value);
+    });
+    metricsTable.appendChild(tr);
+  });
+}
+
+function paintMisclassified(predictions, catalog) {
+  misclassifiedUrls.forEach((url) => URL.revokeObjectURL(url));
+  misclassifiedUrls = [];
+  misclassifiedList.innerHTML = "";
+
+  predictions
+    .filter(({ label, prediction }) => label !== prediction)
+    .forEach(({ file, label, prediction, probability }) => {
+      const item = document.createElement("figure");
+      const img = document.createElement("img");
+      const caption = document.createElement("figcaption");
+
+      const url = URL.createObjectURL(file);
+      misclassifiedUrls.push(url);
+      img.src = url;
+      img.alt = file.webkitRelativePath;
+      img.loading = "lazy";
+      const actual = catalog[label].name;
+      const predicted = catalog[prediction].name;
+      const percent = (probability * 100).toFixed(1);
+      caption.innerText = `${file.webkitRelativePath}\n실제 ${actual} → 예측 ${predicted} (${percent}%)`;
+
+      item.appendChild(img);
+      item.appendChild(caption);
+      misclassifiedList.appendChild(item);
+    });
+}
+
+async function evaluateFolder(files) {
+  evaluationStatus.innerText = "모델 로딩 중...";
+  const classifier = await getClassifier((fraction) => {
+    evaluationStatus.innerText = `모델 로딩 ${Math.round(fraction * 100)}%`;
+  });
+  const catalog = await getCatalog();
+
+  const { labeled, skippedFolders } = getLabeledFiles(files, catalog);
+  if (skippedFolders.length > 0) {
+    console.warn("차종 이름과 맞지 않아 건너뛴 폴더:", skippedFolders);
+  }
+  if (labeled.length === 0) {
+    evaluationStatus.innerText = `차종 이름(${catalog
+      .map((car) => car.name)
+      .join(", ")})과 같은 이름의 하위 폴더가 없습니다.`;
+    return;
+  }
+
+  const predictions = await predictFiles(classifier, labeled, (fraction) => {
+    evaluationStatus.innerText = `평가 중 ${Math.round(fraction * 100)}%`;
+  });
+  const metrics = await computeMetrics(predictions, catalog.length);
+
+  evaluationStatus.innerText = "평가 완료";
+  const accuracy = (metrics.accuracy * 100).toFixed(1);
+  evaluationSummary.innerText = `정확도 ${accuracy}% (${metrics.correct}/${predictions.length})`;
+  if (skippedFolders.length > 0) {
+    evaluationSummary.innerText += `\n건너뛴 폴더: ${skippedFolders.join(
+      ", "
+    )}`;
+  }
+
+  paintConfusionMatrix(metrics.confusion, catalog);
+  paintClassMetrics(metrics, catalog);
+  paintMisclassified(predictions, catalog);
+}
+
+testFolderInput.addEventListener("change", () => {
+  const files = Array.from(testFolderInput.files);
+  testFolderInput.disabled = true;
+  evaluateFolder(files)
+    .catch((error) => {
+      evaluationStatus.innerText = `평가 실패: ${error.message}`;
+      console.error(error);
+    })
+    .finally(() => {
+      testFolderInput.disabled = false;
+    });
+});
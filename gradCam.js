@@ -0,0 +1,86 @@
+// Grad-CAM: 예측에 영향을 준 이미지 영역을 히트맵으로 표시
+const explainToggle = document.querySelector(".explain_toggle input");
+
+// 0~1 값을 파랑 → 초록 → 빨강 (jet) 색으로
+function toHeatmapColors(cam) {
+  return tf.tidy(() => {
+    const channel = (center) =>
+      tf.scalar(1.5).sub(cam.mul(4).sub(center).abs()).clipByValue(0, 1);
+    return tf.stack([channel(3), channel(2), channel(1)], -1);
+  });
+}
+
+// 히트맵은 분류기(Worker 또는 메인 스레드)가 가진 model2 로 계산 (modelManager.js)
+async function paintGradCam(result) {
+  const classifier = await getClassifier(paintProgress);
+  // 배경을 제거했으면 실제로 분류한 이미지 기준으로 설명
+  const image = result.cleaned ?? result.image;
+  const { ranking } = result;
+  // 새로 학습한 차종(customCars.js)은 model2 출력에 없어서 설명하지 않음
+  if (ranking[0].index >= classifier.numClasses) {
+    return;
+  }
+  // 큰 사진은 결과 패널 크기로 줄여서 표시
+  const scale = Math.min(1, 300 / Math.max(image.width, image.height));
+  const width = Math.round(image.width * scale);
+  const height = Math.round(image.height * scale);
+
+  const cam = await classifier.gradCam(image, ranking[0].index);
+  // 그 사이 다른 결과를 선택했으면 그리지 않음
+  if (currentResult !== result) {
+    return;
+  }
+
+  const heatmap = tf.tidy(() => {
+    const resized = tf.image
+      .resizeBilinear(tf.tensor3d(cam, [cam.length, cam[0].length, 1]), [
+        height,
+        width,
+      ])
+      .squeeze([2]);
+    return toHeatmapColors(resized);
+  });
+
+  const heatmapCanvas = document.createElement("canvas");
+  await tf.browser.toPixels(heatmap, heatmapCanvas);
+  heatmap.dispose();
+
+  const canvas = document.createElement("canvas");
+  const context = canvas.getContext("2d");
+  canvas.className = "gradcam";
+  canvas.width = width;
+  canvas.height = height;
+  context.drawImage(image, 0, 0, width, height);
+  context.globalAlpha = 0.5;
+  context.drawImage(heatmapCanvas, 0, 0);
+
+  showGradCam(canvas);
+}
+
+// 결과 패널의 히트맵 자리(그래프 위)에 표시
+function showGradCam(element) {
+  const container = document.getElementsByClassName("search_container")[0];
+  container.querySelector(".gradcam")?.remove();
+  container.insertBefore(element, container.querySelector(".graph_container"));
+}
+
+// 히트맵을 만들지 못했으면 그 자리에 이유를 표시
+function paintGradCamError(result, error) {
+  console.error(error);
+  if (currentResult !== result) {
+    return;
+  }
+  const message = document.createElement("p");
+  message.className = "gradcam gradcam_error";
+  message.innerText = `판단 근거를 표시하지 못했습니다: ${error.message}`;
+  showGradCam(message);
+}
+
+explainToggle.addEventListener("change", () => {
+  if (explainToggle.checked && currentResult?.image) {
+    const result = currentResult;
+    paintGradCam(result).catch((error) => paintGradCamError(result, error));
+  } else {
+    document.querySelector(".search_container .gradcam")?.remove();
+  }
+});
@@ -0,0 +1,124 @@
+// 기울기 자르기: Keras 옵티마이저의 clipnorm, clipvalue, global_clipnorm
+// withGradientClipping(tf.train.adam(0.001), { clipnorm: 1 }) 처럼 옵티마이저에 설정하면
+// minimize, applyGradients, model.fit 모두 기울기를 자른 뒤 변수를 갱신함
+// 설정은 학습 설정(optimizer_config)에 같이 저장되고 다시 로드됨
+// optimizerPatches.js, learningRateSchedules.js, optimizers.js 다음에 로드해야 함
+const clippingKeys = ["clipnorm", "clipvalue", "globalClipnorm"];
+
+// 옵티마이저에 기울기 자르기 설정 (Keras 처럼 하나만 쓸 수 있음)
+function withGradientClipping(optimizer, config) {
+  const keys = clippingKeys.filter((key) => config[key] != null);
+  if (keys.length > 1) {
+    throw new Error(
+      `clipnorm, clipvalue, globalClipnorm 중 하나만 설정할 수 있습니다: ${keys.join(
+        ", "
+      )}`
+    );
+  }
+  keys.forEach((key) => {
+    if (!(config[key] > 0)) {
+      throw new Error(`${key} 는 0 보다 커야 합니다: ${config[key]}`);
+    }
+  });
+
+  clippingKeys.forEach((key) => {
+    optimizer[key] = config[key] ?? null;
+  });
+  return optimizer;
+}
+
+// 기울기 배열 → 자른 기울기 배열 (null 은 그대로)
+function clipGradients(optimizer, gradients) {
+  if (optimizer.clipvalue != null) {
+    const { clipvalue } = optimizer;
+    return gradients.map(
+      (gradient) => gradient && tf.clipByValue(gradient, -clipvalue, clipvalue)
+    );
+  }
+  if (optimizer.clipnorm != null) {
+    // 변수마다 따로 norm 을 clipnorm 이하로
+    return gradients.map(
+      (gradient) =>
+        gradient &&
+        gradient.mul(
+          tf.div(
+            optimizer.clipnorm,
+            tf.maximum(gradient.norm(), optimizer.clipnorm)
+          )
+        )
+    );
+  }
+  // 모든 기울기를 이어 붙인 norm 을 globalClipnorm 이하로 (방향은 그대로)
+  const present = gradients.filter((gradient) => gradient != null);
+  if (present.length === 0) {
+    return gradients;
+  }
+  const globalNorm = tf
+    .addN(present.map((gradient) => gradient.square().sum()))
+    .sqrt();
+  const scale = tf.div(
+    optimizer.globalClipnorm,
+    tf.maximum(globalNorm, optimizer.globalClipnorm)
+  );
+  return gradients.map((gradient) => gradient && gradient.mul(scale));
+}
+
+// 옵티마이저 클래스가 applyGradients 전에 기울기를 자르게 함
+function useGradientClipping(cls) {
+  patchOptimizerClass(cls, {
+    applyGradients(applyGradients, variableGradients) {
+      if (!clippingKeys.some((key) => this[key] != null)) {
+        return applyGradients(variableGradients);
+      }
+
+      // { 이름: 기울기 } 와 [{ name, tensor }] 둘 다 받음
+      const isArray = Array.isArray(variableGradients);
+      const names = isArray
+        ? variableGradients.map((v) => v.name)
+        : Object.keys(variableGradients);
+      const clipped = tf.tidy(() =>
+        clipGradients(
+          this,
+          isArray
+            ? variableGradients.map((v) => v.tensor)
+            : names.map((name) => variableGradients[name])
+        )
+      );
+      try {
+        return applyGradients(
+          isArray
+            ? names.map((name, i) => ({ name, tensor: clipped[i] }))
+            : Object.fromEntries(names.map((name, i) => [name, clipped[i]]))
+        );
+      } finally {
+        tf.dispose(clipped.filter((gradient) => gradient != null));
+      }
+    },
+
+    getConfig(config) {
+      clippingKeys.forEach((key) => {
+        if (this[key] != null) {
+          config[key] = this[key];
+        }
+      });
+      return config;
+    },
+
+    fromConfig(fromConfig, config) {
+      return withGradientClipping(fromConfig(config), config);
+    },
+  });
+}
+
+[
+  tf.SGDOptimizer,
+  tf.MomentumOptimizer,
+  tf.AdagradOptimizer,
+  tf.AdadeltaOptimizer,
+  tf.AdamOptimizer,
+  tf.AdamaxOptimizer,
+  tf.RMSPropOptimizer,
+  AdamWOptimizer,
+  NadamOptimizer,
+  LionOptimizer,
+].forEach(useGradientClipping);
@@ -0,0 +1,300 @@
+// 예측 기록: 업로드한 사진의 예측 결과를 IndexedDB 에 저장하고
+// 틀린 예측을 고쳐서 학습용 데이터셋(zip: 차종별 폴더 이미지 + manifest.json)으로 내보냄
+const HISTORY_DB = "car-history";
+const HISTORY_STORE = "predictions";
+
+const historyConfig = {
+  // 저장할 썸네일 크기 (긴 변, 모델 입력 크기에 맞춤)
+  thumbnailSize: 300,
+};
+
+let historyDbPromise = null;
+
+// IDBRequest 를 Promise 로
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+function openHistoryDb() {
+  if (!historyDbPromise) {
+    const request = indexedDB.open(HISTORY_DB, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(HISTORY_STORE, {
+        keyPath: "id",
+        autoIncrement: true,
+      });
+    };
+    historyDbPromise = requestToPromise(request);
+  }
+  return historyDbPromise;
+}
+
+async function historyStore(mode) {
+  const db = await openHistoryDb();
+  return db.transaction(HISTORY_STORE, mode).objectStore(HISTORY_STORE);
+}
+
+const listHistory = async () =>
+  requestToPromise((await historyStore("readonly")).getAll());
+
+const putHistory = async (entry) =>
+  requestToPromise((await historyStore("readwrite")).put(entry));
+
+const clearHistory = async () =>
+  requestToPromise((await historyStore("readwrite")).clear());
+
+// 썸네일 JPEG Blob
+function toThumbnailBlob(image, size) {
+  const scale = Math.min(1, size / Math.max(image.width, image.height));
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(image.width * scale);
+  canvas.height = Math.round(image.height * scale);
+  canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+  return new Promise((resolve) => canvas.toBlob(resolve, "image/jpeg", 0.9));
+}
+
+// 분류 결과들을 기록
+async function recordHistory(results, modelVersion) {
+  const timestamp = new Date().toISOString();
+  for (const result of results) {
+    const [top] = result.ranking;
+    await putHistory({
+      source: result.name,
+      thumbnail: await toThumbnailBlob(
+        result.image,
+        historyConfig.thumbnailSize
+      ),
+      // 기록하는 사이 차종 목록이 바뀌어도 분류할 때의 이름(result.labels)으로 저장
+      prediction: result.unknown ? null : result.labels[top.index],
+      probabilities: Object.fromEntries(
+        result.labels.map((label, i) => [label, result.probabilities[i]])
+      ),
+      modelVersion,
+      timestamp,
+      // "틀렸어요" 로 고친 실제 차종
+      correction: null,
+    });
+  }
+}
+
+// 데이터셋 라벨: 고친 차종, 없으면 예측한 차종 (알 수 없음이면 null)
+const getHistoryLabel = (entry) => entry.correction ?? entry.prediction;
+
+// zip 파일 (압축 없이 저장)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Date → zip(MS-DOS) 시간, 날짜
+const toDosDateTime = (date) => [
+  (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+  ((date.getFullYear() - 1980) << 9) |
+    ((date.getMonth() + 1) << 5) |
+    date.getDate(),
+];
+
+// [{ name, bytes: Uint8Array, date }] → zip Blob
+function createZip(files) {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  let centralSize = 0;
+
+  for (const { name, bytes, date } of files) {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(bytes);
+    const [time, day] = toDosDateTime(date);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    // 파일 이름이 UTF-8
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, day, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, bytes.length, true);
+    local.setUint32(22, bytes.length, true);
+    local.setUint16(26, nameBytes.length, true);
+    localParts.push(local, nameBytes, bytes);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, day, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, bytes.length, true);
+    central.setUint32(24, bytes.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+    centralParts.push(central, nameBytes);
+
+    offset += 30 + nameBytes.length + bytes.length;
+    centralSize += 46 + nameBytes.length;
+  }
+
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...localParts, ...centralParts, end], {
+    type: "application/zip",
+  });
+}
+
+// 폴더 이름에 쓸 수 없는 문자 제거
+const toFolderName = (label) => label.replace(/[\\/:*?"<>|]/g, "_");
+
+// 기록 전체를 학습용 데이터셋으로 저장
+// 이미지는 flow_from_directory 로 바로 읽을 수 있게 차종별 폴더에 넣음
+async function exportDataset() {
+  const entries = await listHistory();
+  const files = [];
+  const items = [];
+
+  for (const entry of entries) {
+    const label = getHistoryLabel(entry);
+    const file = `${label ? toFolderName(label) : "unlabeled"}/${entry.id}.jpg`;
+    files.push({
+      name: file,
+      bytes: new Uint8Array(await entry.thumbnail.arrayBuffer()),
+      date: new Date(entry.timestamp),
+    });
+    items.push({
+      file,
+      label,
+      prediction: entry.prediction,
+      corrected: entry.correction !== null,
+      probabilities: entry.probabilities,
+      modelVersion: entry.modelVersion,
+      timestamp: entry.timestamp,
+      source: entry.source,
+    });
+  }
+
+  const manifest = { exportedAt: new Date().toISOString(), items };
+  files.push({
+    name: "manifest.json",
+    bytes: new TextEncoder().encode(JSON.stringify(manifest, null, 2)),
+    date: new Date(),
+  });
+
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(createZip(files));
+  link.download = "car-dataset.zip";
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+// 기록 목록
+const historyList = document.getElementsByClassName("history_list")[0];
+const historyExportButton =
+  document.getElementsByClassName("history_export")[0];
+const historyClearButton = document.getElementsByClassName("history_clear")[0];
+let historyUrls = [];
+
+// 차종 이름(data)이 준비된 뒤 호출 (tensorflow.js)
+async function paintHistory() {
+  if (typeof indexedDB === "undefined") {
+    return;
+  }
+  const entries = await listHistory();
+  historyUrls.forEach((url) => URL.revokeObjectURL(url));
+  historyUrls = [];
+  historyList.innerHTML = "";
+
+  // 최근 기록부터
+  entries.reverse().forEach((entry) => {
+    const item = document.createElement("li");
+    const img = document.createElement("img");
+    const text = document.createElement("p");
+    const select = document.createElement("select");
+    const placeholder = document.createElement("option");
+
+    const url = URL.createObjectURL(entry.thumbnail);
+    historyUrls.push(url);
+    img.src = url;
+    img.alt = entry.source;
+
+    const probability = entry.prediction
+      ? ` ${(entry.probabilities[entry.prediction] * 100).toFixed(1)}%`
+      : "";
+    text.innerText = `${
+      entry.prediction ?? "UNKNOWN"
+    }${probability} · ${new Date(entry.timestamp).toLocaleString("ko-KR")}`;
+    if (entry.correction) {
+      text.innerText += ` → 실제: ${entry.correction}`;
+      item.className = "corrected";
+    }
+
+    // 틀렸으면 실제 차종을 골라서 고침
+    placeholder.value = "";
+    placeholder.innerText = "틀렸어요, 실제로는…";
+    select.appendChild(placeholder);
+    data.forEach((car) => {
+      const option = document.createElement("option");
+      option.value = car.name;
+      option.innerText = car.name;
+      select.appendChild(option);
+    });
+    select.value = entry.correction ?? "";
+    select.addEventListener("change", () => {
+      entry.correction = select.value || null;
+      putHistory(entry)
+        .then(paintHistory)
+        .catch((error) => {
+          alert(`기록을 고칠 수 없습니다: ${error.message}`);
+        });
+    });
+
+    item.appendChild(img);
+    item.appendChild(text);
+    item.appendChild(select);
+    historyList.appendChild(item);
+  });
+
+  historyExportButton.disabled = entries.length === 0;
+}
+
+historyExportButton.addEventListener("click", () => {
+  exportDataset().catch((error) => {
+    alert(`데이터셋을 저장할 수 없습니다: ${error.message}`);
+  });
+});
+
+historyClearButton.addEventListener("click", () => {
+  if (!confirm("예측 기록을 모두 지울까요?")) {
+    return;
+  }
+  clearHistory()
+    .then(paintHistory)
+    .catch((error) => {
+      alert(`예측 기록을 지울 수 없습니다: ${error.message}`);
+    });
+});
+
+if (typeof indexedDB === "undefined") {
+  historyExportButton.disabled = true;
+  historyClearButton.disabled = true;
+}
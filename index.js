@@ -0,0 +1,86 @@
+// 정적 페이지와 자동차 분류 API 를 제공하는 서버
+import express from "express";
+import multer from "multer";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadModel, loadCatalog, classifyImage } from "./server/classifier.js";
+
+const rootDir = path.dirname(fileURLToPath(import.meta.url));
+const port = process.env.PORT || 3000;
+
+const app = express();
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+});
+
+// 모델과 차량 정보는 서버 시작 시 한 번만 로드
+const modelPath = path.join(rootDir, "model2", "model.json");
+const classifierPromise = loadModel(modelPath).then(async (model) => ({
+  model,
+  catalog: await loadCatalog(modelPath, model),
+}));
+classifierPromise.catch((error) => {
+  console.error("model2 로드 실패:", error.message);
+});
+
+app.post("/api/classify", upload.single("image"), async (req, res) => {
+  if (!req.file) {
+    res.status(400).json({ error: "image 필드로 이미지를 업로드해주세요." });
+    return;
+  }
+
+  let classifier;
+  try {
+    classifier = await classifierPromise;
+  } catch (error) {
+    res
+      .status(503)
+      .json({ error: `모델을 불러오지 못했습니다: ${error.message}` });
+    return;
+  }
+
+  try {
+    const { model, catalog } = classifier;
+    res.json(await classifyImage(model, catalog, req.file.buffer));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// 사이트에 필요한 파일만 제공 (package.json, server/, node_modules/ 등은 제외)
+const staticDirs = ["css", "images", "model2", "segmentation", "@tensorflow"];
+staticDirs.forEach((dir) => {
+  app.use(`/${dir}`, express.static(path.join(rootDir, dir)));
+});
+// 루트에서는 페이지, 브라우저 스크립트, 매니페스트만 (서버 진입점 index.js 는 제외)
+const rootFilePattern = /^\/(?:[^/]+\.(?:html|js|webmanifest))?$/;
+const serveRoot = express.static(rootDir);
+app.use((req, res, next) => {
+  // %2F 로 하위 폴더를 가리키지 못하게 디코딩한 경로로 확인
+  let filePath;
+  try {
+    filePath = decodeURIComponent(req.path);
+  } catch {
+    next();
+    return;
+  }
+  if (filePath !== "/index.js" && rootFilePattern.test(filePath)) {
+    serveRoot(req, res, next);
+  } else {
+    next();
+  }
+});
+
+// 업로드 용량 초과 등 multer 오류
+app.use((error, req, res, next) => {
+  if (error instanceof multer.MulterError) {
+    res.status(400).json({ error: error.message });
+    return;
+  }
+  next(error);
+});
+
+app.listen(port, () => {
+  console.log(`http://localhost:${port}`);
+});
@@ -0,0 +1,240 @@
+// 학습률 스케줄: 옵티마이저에 숫자 대신 넘기면 지금까지의 학습 단계(optimizer.iterations)로 학습률을 계산
+// tf.train.adam(new CosineDecay({ initialLearningRate: 0.01, decaySteps: 1000 }))
+// 학습 설정(optimizer_config)의 learningRate 자리에 { className, config } 로 저장되고 로드할 때 다시 스케줄이 됨
+// optimizerPatches.js 다음에 로드해야 함
+
+// 스케줄 공통: call(step) 이 학습률(숫자)을 반환
+class LearningRateSchedule extends tf.serialization.Serializable {
+  constructor({ name = null } = {}) {
+    super();
+    this.name = name;
+  }
+
+  getConfig() {
+    return { name: this.name };
+  }
+
+  static fromConfig(cls, config) {
+    return new cls(config);
+  }
+}
+
+// initialLearningRate * decayRate ^ (step / decaySteps)
+class ExponentialDecay extends LearningRateSchedule {
+  constructor(config) {
+    super(config);
+    this.initialLearningRate = config.initialLearningRate;
+    this.decaySteps = config.decaySteps;
+    this.decayRate = config.decayRate;
+    // true 면 decaySteps 마다 계단식으로 줄어듦
+    this.staircase = config.staircase ?? false;
+  }
+
+  call(step) {
+    const progress = step / this.decaySteps;
+    return (
+      this.initialLearningRate *
+      this.decayRate ** (this.staircase ? Math.floor(progress) : progress)
+    );
+  }
+
+  getConfig() {
+    return {
+      ...super.getConfig(),
+      initialLearningRate: this.initialLearningRate,
+      decaySteps: this.decaySteps,
+      decayRate: this.decayRate,
+      staircase: this.staircase,
+    };
+  }
+}
+ExponentialDecay.className = "ExponentialDecay";
+
+// step <= boundaries[0] 이면 values[0], boundaries[0] < step <= boundaries[1] 이면 values[1], ...
+class PiecewiseConstantDecay extends LearningRateSchedule {
+  constructor(config) {
+    super(config);
+    this.boundaries = config.boundaries;
+    this.values = config.values;
+    if (this.values.length !== this.boundaries.length + 1) {
+      throw new Error(
+        `values 는 boundaries 보다 하나 많아야 합니다: ${this.values.length} / ${this.boundaries.length}`
+      );
+    }
+  }
+
+  call(step) {
+    const index = this.boundaries.findIndex((boundary) => step <= boundary);
+    return this.values[index === -1 ? this.values.length - 1 : index];
+  }
+
+  getConfig() {
+    return {
+      ...super.getConfig(),
+      boundaries: this.boundaries,
+      values: this.values,
+    };
+  }
+}
+PiecewiseConstantDecay.className = "PiecewiseConstantDecay";
+
+// warmupSteps 동안 warmupTarget 까지 선형으로 올린 뒤 decaySteps 동안 코사인 곡선으로 alpha 배까지 줄임
+// warmupTarget 이 없으면 Keras 처럼 warmupSteps 는 무시하고 0 단계부터 initialLearningRate 에서 줄임
+class CosineDecay extends LearningRateSchedule {
+  constructor(config) {
+    super(config);
+    this.initialLearningRate = config.initialLearningRate;
+    this.decaySteps = config.decaySteps;
+    this.alpha = config.alpha ?? 0;
+    this.warmupTarget = config.warmupTarget ?? null;
+    this.warmupSteps = config.warmupSteps ?? 0;
+  }
+
+  call(step) {
+    if (this.warmupTarget === null) {
+      return this.decay(step, this.initialLearningRate);
+    }
+    if (step < this.warmupSteps) {
+      return (
+        this.initialLearningRate +
+        ((this.warmupTarget - this.initialLearningRate) * step) /
+          this.warmupSteps
+      );
+    }
+    return this.decay(step - this.warmupSteps, this.warmupTarget);
+  }
+
+  decay(step, learningRate) {
+    const completed = Math.min(step, this.decaySteps) / this.decaySteps;
+    const cosine = 0.5 * (1 + Math.cos(Math.PI * completed));
+    return learningRate * ((1 - this.alpha) * cosine + this.alpha);
+  }
+
+  getConfig() {
+    return {
+      ...super.getConfig(),
+      initialLearningRate: this.initialLearningRate,
+      decaySteps: this.decaySteps,
+      alpha: this.alpha,
+      warmupTarget: this.warmupTarget,
+      warmupSteps: this.warmupSteps,
+    };
+  }
+}
+CosineDecay.className = "CosineDecay";
+
+// (initialLearningRate - endLearningRate) * (1 - step / decaySteps) ^ power + endLearningRate
+// cycle 이면 decaySteps 가 지난 뒤 다시 처음부터
+class PolynomialDecay extends LearningRateSchedule {
+  constructor(config) {
+    super(config);
+    this.initialLearningRate = config.initialLearningRate;
+    this.decaySteps = config.decaySteps;
+    this.endLearningRate = config.endLearningRate ?? 0.0001;
+    this.power = config.power ?? 1;
+    this.cycle = config.cycle ?? false;
+  }
+
+  call(step) {
+    let decaySteps = this.decaySteps;
+    if (this.cycle) {
+      decaySteps *= Math.max(1, Math.ceil(step / this.decaySteps));
+    } else {
+      step = Math.min(step, this.decaySteps);
+    }
+    return (
+      (this.initialLearningRate - this.endLearningRate) *
+        (1 - step / decaySteps) ** this.power +
+      this.endLearningRate
+    );
+  }
+
+  getConfig() {
+    return {
+      ...super.getConfig(),
+      initialLearningRate: this.initialLearningRate,
+      decaySteps: this.decaySteps,
+      endLearningRate: this.endLearningRate,
+      power: this.power,
+      cycle: this.cycle,
+    };
+  }
+}
+PolynomialDecay.className = "PolynomialDecay";
+
+[
+  ExponentialDecay,
+  PiecewiseConstantDecay,
+  CosineDecay,
+  PolynomialDecay,
+].forEach((cls) => tf.serialization.registerClass(cls));
+
+// 저장된 설정({ className, config }) → 스케줄, 숫자는 그대로
+function toLearningRate(value) {
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (value instanceof LearningRateSchedule) {
+    return value;
+  }
+  const entry =
+    tf.serialization.SerializationMap.getMap().classNameMap[value.className];
+  if (!entry) {
+    throw new Error(`알 수 없는 학습률 스케줄입니다: ${value.className}`);
+  }
+  const [cls, fromConfig] = entry;
+  return fromConfig(cls, value.config);
+}
+
+// 옵티마이저 클래스가 learningRate 로 스케줄을 받을 수 있게 함
+// applyGradients 동안만 learningRate 를 이번 단계의 숫자로 바꿔둠
+function useLearningRateSchedules(cls) {
+  patchOptimizerClass(cls, {
+    applyGradients(applyGradients, variableGradients) {
+      const schedule = this.learningRate;
+      if (!(schedule instanceof LearningRateSchedule)) {
+        return applyGradients(variableGradients);
+      }
+
+      const learningRate = schedule.call(this.iterations);
+      // SGD, Momentum 은 학습률로 만든 스칼라(this.c)를 씀
+      if (this.setLearningRate) {
+        this.setLearningRate(learningRate);
+      } else {
+        this.learningRate = learningRate;
+      }
+      try {
+        return applyGradients(variableGradients);
+      } finally {
+        this.learningRate = schedule;
+      }
+    },
+
+    getConfig(config) {
+      if (config.learningRate instanceof LearningRateSchedule) {
+        config.learningRate = {
+          className: config.learningRate.getClassName(),
+          config: config.learningRate.getConfig(),
+        };
+      }
+      return config;
+    },
+
+    fromConfig(fromConfig, config) {
+      return fromConfig({
+        ...config,
+        learningRate: toLearningRate(config.learningRate),
+      });
+    },
+  });
+}
+
+[
+  tf.SGDOptimizer,
+  tf.MomentumOptimizer,
+  tf.AdagradOptimizer,
+  tf.AdadeltaOptimizer,
+  tf.AdamOptimizer,
+  tf.AdamaxOptimizer,
+  tf.RMSPropOptimizer,
+].forEach(useLearningRateSchedules);
@@ -0,0 +1,32 @@
+// 텐서 메모리 디버그 표시 (주소 뒤에 ?debug 를 붙이면 나타남)
+if (new URLSearchParams(location.search).has("debug")) {
+  const overlay = document.createElement("div");
+  overlay.className = "memory_overlay";
+  document.body.appendChild(overlay);
+
+  let classifier = null;
+  // 로드 오류는 tensorflow.js 에서 표시함
+  getClassifier()
+    .then((loaded) => {
+      classifier = loaded;
+    })
+    .catch(() => {});
+
+  const formatMemory = ({ numTensors, numBytes, numDataBuffers }) => [
+    `numTensors: ${numTensors}`,
+    `numDataBuffers: ${numDataBuffers}`,
+    `numBytes: ${(numBytes / 1024 / 1024).toFixed(2)} MB`,
+  ];
+
+  const paintMemory = () => {
+    const lines = [`backend: ${tf.getBackend()}`, ...formatMemory(tf.memory())];
+    if (classifier?.memory) {
+      lines.push(`classifier: ${classifier.backend}`);
+      lines.push(...formatMemory(classifier.memory));
+    }
+    overlay.innerText = lines.join("\n");
+  };
+
+  paintMemory();
+  setInterval(paintMemory, 500);
+}
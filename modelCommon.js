@@ -0,0 +1,158 @@
+// 브라우저(페이지, Worker)와 서버가 같이 쓰는 model2 함수
+// 페이지와 Worker 는 <script>, importScripts 로 불러 전역 함수로 쓰고
+// 서버는 import 한 뒤 globalThis.modelCommon 에서 꺼내 씀 (그래서 import, export 를 쓰지 않음)
+// 페이지는 전역 tf, 서버는 tfjs-core 를 쓰므로 텐서 연산 함수는 tf 를 인자로 받음
+
+// 모델 입력 전처리 기본값 (학습 때와 같은 방식)
+// model.json 의 userDefinedMetadata.preprocessing 값이 기본값을 덮어씀
+const defaultPreprocessing = {
+  // [height, width]
+  inputSize: [300, 300],
+  // "stretch": 비율 무시하고 늘림, "center-crop": 가운데 자르기,
+  // "letterbox": 비율 유지하고 남는 부분을 padValue 로 채움
+  fit: "stretch",
+  // "nearest" 또는 "bilinear"
+  interpolation: "nearest",
+  // 픽셀 값 * scale + offset
+  scale: 1 / 255,
+  offset: 0,
+  padValue: 0,
+};
+
+function getPreprocessing(model) {
+  return { ...defaultPreprocessing, ...model.metadata?.preprocessing };
+}
+
+// 목표 비율에 맞게 가운데를 자르거나(center-crop) 양옆을 채움(letterbox)
+function fitAspectRatio(tf, pixels, { inputSize, fit, padValue }) {
+  if (fit === "stretch") {
+    return pixels;
+  }
+  if (fit !== "center-crop" && fit !== "letterbox") {
+    throw new Error(`알 수 없는 전처리 fit 값입니다: ${fit}`);
+  }
+
+  const [height, width] = pixels.shape;
+  const targetRatio = inputSize[1] / inputSize[0];
+  const fitWidth = Math.round(height * targetRatio);
+  const fitHeight = Math.round(width / targetRatio);
+
+  if (fit === "center-crop") {
+    if (fitWidth < width) {
+      const left = Math.floor((width - fitWidth) / 2);
+      return tf.slice(pixels, [0, left, 0], [height, fitWidth, -1]);
+    }
+    if (fitHeight < height) {
+      const top = Math.floor((height - fitHeight) / 2);
+      return tf.slice(pixels, [top, 0, 0], [fitHeight, width, -1]);
+    }
+    return pixels;
+  }
+
+  if (fitWidth > width) {
+    const left = Math.floor((fitWidth - width) / 2);
+    return tf.pad(
+      pixels,
+      [
+        [0, 0],
+        [left, fitWidth - width - left],
+        [0, 0],
+      ],
+      padValue
+    );
+  }
+  if (fitHeight > height) {
+    const top = Math.floor((fitHeight - height) / 2);
+    return tf.pad(
+      pixels,
+      [
+        [top, fitHeight - height - top],
+        [0, 0],
+        [0, 0],
+      ],
+      padValue
+    );
+  }
+  return pixels;
+}
+
+// [height, width, 3] 픽셀 텐서를 [1, height, width, 3] 모델 입력으로 변환
+function preprocessPixels(tf, pixels, preprocessing = defaultPreprocessing) {
+  return tf.tidy(() => {
+    // halfPixelCenters 를 켜야 Keras(PIL) 리사이즈와 같은 위치를 샘플링함
+    const resize =
+      preprocessing.interpolation === "bilinear"
+        ? tf.image.resizeBilinear
+        : tf.image.resizeNearestNeighbor;
+    const resized = resize(
+      fitAspectRatio(tf, pixels, preprocessing),
+      preprocessing.inputSize,
+      false,
+      true
+    );
+
+    const normalized = tf.add(
+      tf.mul(tf.cast(resized, "float32"), preprocessing.scale),
+      preprocessing.offset
+    );
+    return tf.expandDims(normalized, 0);
+  });
+}
+
+// 모델 시그니처의 출력 클래스 수 (dense_3 의 [-1, 4] 에서 4)
+function getNumClasses(model) {
+  const [output] = Object.values(model.modelSignature.outputs);
+  const dims = output.tensorShape.dim;
+  return Number(dims[dims.length - 1].size);
+}
+
+// catalog.json 의 classes 가 모델 출력 클래스 수와 맞는지 확인하고 index 순서로 정렬
+function validateCatalog(classes, numClasses) {
+  if (classes.length !== numClasses) {
+    throw new Error(
+      `catalog.json 의 클래스 수(${classes.length})가 모델 출력 수(${numClasses})와 다릅니다.`
+    );
+  }
+
+  const catalog = [];
+  for (const entry of classes) {
+    if (!(entry.index >= 0 && entry.index < numClasses)) {
+      throw new Error(
+        `catalog.json 의 index 가 잘못되었습니다: ${entry.index}`
+      );
+    }
+    if (catalog[entry.index]) {
+      throw new Error(
+        `catalog.json 에 index ${entry.index} 가 중복되었습니다.`
+      );
+    }
+    catalog[entry.index] = entry;
+  }
+  return catalog;
+}
+
+// 마지막 분류층(dense_3) 노드
+// 입력은 [dense_2 활성화 출력, kernel, bias]
+function getClassifierNode(model) {
+  const matMulNodes = model.artifacts.modelTopology.node.filter(
+    (node) => node.op === "_FusedMatMul"
+  );
+  return matMulNodes[matMulNodes.length - 1];
+}
+
+// 마지막 분류층에 들어가는 특징 벡터(dense_2 활성화 출력) 노드
+// 새 차종 학습과 유사 이미지 임베딩에 씀
+function getFeatureNode(model) {
+  return getClassifierNode(model).input[0].split(":")[0];
+}
+
+globalThis.modelCommon = {
+  defaultPreprocessing,
+  getPreprocessing,
+  fitAspectRatio,
+  preprocessPixels,
+  getNumClasses,
+  validateCatalog,
+  getClassifierNode,
+  getFeatureNode,
+};
@@ -0,0 +1,390 @@
+// model2 를 한 번만 로드하고 IndexedDB 에 저장해두는 모델 매니저
+const MODEL_URL = "./model2/model.json";
+// 클래스 인덱스 → 차량 정보
+const CATALOG_URL = "./model2/catalog.json";
+// 저장 키 뒤에 model.json 해시를 붙여 버전을 구분
+const MODEL_CACHE_PREFIX = "indexeddb://car-model-";
+// 변환기가 지원하는 op 목록 (TF op 이름 → tfjs 함수)
+const KERNEL2OP_URL = "./@tensorflow/tfjs-converter/metadata/kernel2op.json";
+
+let modelPromise = null;
+// 로드한 model.json 의 버전 (해시 앞 16자리, 알 수 없으면 null)
+let modelVersion = null;
+
+// 가중치 샤드가 없거나 크기·해시가 맞지 않을 때
+class ModelIntegrityError extends Error {
+  constructor(problems) {
+    super(
+      `모델 파일이 불완전합니다: ${problems
+        .map((problem) => `${problem.path} (${problem.reason})`)
+        .join(", ")}`
+    );
+    this.name = "ModelIntegrityError";
+    // [{ path, reason, weights: [가중치 이름] }]
+    this.problems = problems;
+  }
+}
+
+// 모델에 지금 tfjs 가 실행할 수 없는 op 가 있을 때
+class UnsupportedOpsError extends Error {
+  constructor(ops) {
+    super(
+      `tfjs ${tf.version.tfjs} 가 지원하지 않는 op 가 있습니다: ${ops.join(
+        ", "
+      )}`
+    );
+    this.name = "UnsupportedOpsError";
+    this.ops = ops;
+  }
+}
+
+// 데이터의 SHA-256 (hex), 계산할 수 없는 환경(비보안 컨텍스트)이면 null
+async function sha256Hex(buffer) {
+  if (!self.crypto?.subtle) {
+    return null;
+  }
+  const digest = await crypto.subtle.digest("SHA-256", buffer);
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+const DTYPE_BYTES = { float32: 4, int32: 4, bool: 1, complex64: 8 };
+const QUANTIZATION_BYTES = { uint8: 1, uint16: 2, float16: 2 };
+
+// weightSpecs 로 계산한 가중치 하나의 바이트 수
+function getWeightByteLength({ shape, dtype, quantization }) {
+  const size = shape.reduce((a, b) => a * b, 1);
+  return (
+    size *
+    (quantization ? QUANTIZATION_BYTES[quantization.dtype] : DTYPE_BYTES[dtype])
+  );
+}
+
+// 변환기는 마지막 샤드를 빼고 모두 같은 크기로 자르므로 받은 샤드들로 크기를 추정
+function inferShardSize(sizes, totalBytes) {
+  const counts = new Map();
+  sizes.slice(0, -1).forEach((size) => {
+    if (size !== null) {
+      counts.set(size, (counts.get(size) ?? 0) + 1);
+    }
+  });
+  if (counts.size > 0) {
+    return [...counts].sort((a, b) => b[1] - a[1])[0][0];
+  }
+
+  const last = sizes[sizes.length - 1];
+  if (sizes.length === 1) {
+    return totalBytes;
+  }
+  if (last !== null) {
+    return (totalBytes - last) / (sizes.length - 1);
+  }
+  // 변환기 기본값 4MB
+  return 4 * 1024 * 1024;
+}
+
+// 바이트 구간 [start, end) 에 걸친 가중치 이름
+function getWeightsInRange(weights, start, end) {
+  const names = [];
+  let offset = 0;
+  for (const spec of weights) {
+    const length = getWeightByteLength(spec);
+    if (offset < end && offset + length > start) {
+      names.push(spec.name);
+    }
+    offset += length;
+  }
+  return names;
+}
+
+// 샤드를 모두 받은 뒤 존재 여부, 크기, (manifest 에 있으면) SHA-256 을 확인
+async function loadVerifiedWeights(manifest, baseUrl, onProgress) {
+  const total = manifest.reduce((sum, group) => sum + group.paths.length, 0);
+  let loaded = 0;
+  const problems = [];
+  const buffers = [];
+
+  for (const group of manifest) {
+    const results = await Promise.allSettled(
+      group.paths.map(async (shardPath) => {
+        const response = await fetch(new URL(shardPath, baseUrl));
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+        const buffer = await response.arrayBuffer();
+        onProgress?.(++loaded / total);
+        return buffer;
+      })
+    );
+
+    const totalBytes = group.weights.reduce(
+      (sum, spec) => sum + getWeightByteLength(spec),
+      0
+    );
+    const sizes = results.map((result) =>
+      result.status === "fulfilled" ? result.value.byteLength : null
+    );
+    const shardSize = inferShardSize(sizes, totalBytes);
+
+    for (const [i, result] of results.entries()) {
+      const start = i * shardSize;
+      const end = Math.min(start + shardSize, totalBytes);
+      let reason = null;
+
+      if (result.status === "rejected") {
+        reason = `없음: ${result.reason.message}`;
+      } else if (sizes[i] !== end - start) {
+        reason = `크기 불일치: ${sizes[i]} / ${end - start} bytes`;
+      } else if (group.sha256?.[i]) {
+        const hash = await sha256Hex(result.value);
+        if (hash !== null && hash !== group.sha256[i]) {
+          reason = "SHA-256 불일치";
+        }
+      }
+
+      if (reason) {
+        problems.push({
+          path: group.paths[i],
+          reason,
+          weights: getWeightsInRange(group.weights, start, end),
+        });
+      } else {
+        buffers.push(result.value);
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ModelIntegrityError(problems);
+  }
+  return [
+    tf.io.getWeightSpecs(manifest),
+    tf.io.concatenateArrayBuffers(buffers),
+  ];
+}
+
+// 받아둔 model.json 으로 샤드를 검증하며 로드하는 IOHandler
+function verifiedModelHandler(modelJSON, modelUrl, onProgress) {
+  const baseUrl = new URL(modelUrl, self.location.href);
+  return {
+    load: () =>
+      tf.io.getModelArtifactsForJSON(modelJSON, (manifest) =>
+        loadVerifiedWeights(manifest, baseUrl, onProgress)
+      ),
+  };
+}
+
+// "TensorFlow.js Converter v3.19.0" → [3, 19, 0]
+const parseVersion = (text) => {
+  const match = /(\d+)\.(\d+)\.(\d+)/.exec(text ?? "");
+  return match ? match.slice(1).map(Number) : null;
+};
+
+// 가중치를 받기 전에 tfjs 버전과 모델에 쓰인 op 를 확인
+async function checkCompatibility(modelJSON) {
+  const converter = parseVersion(modelJSON.convertedBy);
+  const runtime = parseVersion(tf.version.tfjs);
+  // 변환기보다 주 버전이 낮은 tfjs 에는 새 op 가 없을 수 있음
+  if (converter && runtime && runtime[0] < converter[0]) {
+    console.warn(
+      `tfjs ${tf.version.tfjs} 가 모델 변환기(${modelJSON.convertedBy})보다 오래되었습니다.`
+    );
+  }
+
+  const response = await fetch(KERNEL2OP_URL);
+  if (!response.ok) {
+    console.warn(`${KERNEL2OP_URL} 이 없어 op 지원 여부를 확인하지 않습니다.`);
+    return;
+  }
+  const supported = await response.json();
+
+  const { node = [], library } = modelJSON.modelTopology;
+  const nodes = [
+    ...node,
+    ...(library?.function ?? []).flatMap((fn) => fn.nodeDef ?? []),
+  ];
+  const ops = [...new Set(nodes.map(({ op }) => op))];
+  const unsupported = ops.filter((op) => !(op in supported));
+  if (unsupported.length > 0) {
+    throw new UnsupportedOpsError(unsupported);
+  }
+}
+
+// IndexedDB 에 저장된 모델 키 목록
+async function listCachedModels() {
+  const models = await tf.io.listModels();
+  return Object.keys(models).filter((key) =>
+    key.startsWith(MODEL_CACHE_PREFIX)
+  );
+}
+
+async function loadModelWithCache(onProgress) {
+  let modelJSON;
+  let version = null;
+  try {
+    const response = await fetch(MODEL_URL, { cache: "no-cache" });
+    if (!response.ok) {
+      throw new Error(`${MODEL_URL} 요청 실패 (${response.status})`);
+    }
+    const buffer = await response.arrayBuffer();
+    modelJSON = JSON.parse(new TextDecoder().decode(buffer));
+    // 원격 model.json 의 해시로 버전 비교
+    version = (await sha256Hex(buffer))?.slice(0, 16) ?? null;
+  } catch (error) {
+    // 오프라인이면 저장된 모델 중 하나를 그대로 사용
+    const [cached] = await listCachedModels();
+    if (cached) {
+      modelVersion = cached.slice(MODEL_CACHE_PREFIX.length);
+      return tf.loadGraphModel(cached);
+    }
+    throw error;
+  }
+
+  await checkCompatibility(modelJSON);
+
+  modelVersion = version;
+  const handler = verifiedModelHandler(modelJSON, MODEL_URL, onProgress);
+  if (version === null) {
+    // 해시를 계산할 수 없는 환경에서는 캐시하지 않음
+    return tf.loadGraphModel(handler);
+  }
+
+  const cacheKey = MODEL_CACHE_PREFIX + version;
+  const cachedModels = await listCachedModels();
+  if (cachedModels.includes(cacheKey)) {
+    onProgress?.(1);
+    return tf.loadGraphModel(cacheKey);
+  }
+
+  const model = await tf.loadGraphModel(handler);
+  try {
+    await model.save(cacheKey);
+    // 이전 버전은 삭제
+    for (const key of cachedModels) {
+      await tf.io.removeModel(key);
+    }
+  } catch (error) {
+    // 저장 공간 부족 등으로 캐시에 실패해도 모델은 그대로 사용
+    console.warn("모델 캐시 저장 실패:", error);
+  }
+  return model;
+}
+
+// 모델을 한 번만 로드해서 돌려준다
+function getModel(onProgress) {
+  if (!modelPromise) {
+    modelPromise = loadModelWithCache(onProgress).catch((error) => {
+      modelPromise = null;
+      throw error;
+    });
+  }
+  return modelPromise;
+}
+
+// 마지막 분류층 가중치 { kernel: [특징 수][클래스 수], bias: [클래스 수] }
+// (getClassifierNode 는 modelCommon.js)
+async function getClassifierWeights(model) {
+  const [, kernelName, biasName] = getClassifierNode(model).input.map(
+    (name) => name.split(":")[0]
+  );
+  const [kernel] = model.weights[kernelName];
+  const [bias] = model.weights[biasName];
+  return { kernel: await kernel.array(), bias: await bias.array() };
+}
+
+// catalog.json 을 읽고 모델 출력 클래스 수와 맞는지 확인
+async function loadCatalog(numClasses) {
+  const response = await fetch(CATALOG_URL, { cache: "no-cache" });
+  if (!response.ok) {
+    throw new Error(`${CATALOG_URL} 요청 실패 (${response.status})`);
+  }
+  const { classes } = await response.json();
+  return validateCatalog(classes, numClasses);
+}
+
+// 이미지 분류
+async function classifyImage(model, image) {
+  const [predictions] = await classifyImages(model, [image]);
+  return predictions;
+}
+
+// 여러 이미지를 [N, 300, 300, 3] 배치로 묶어 한 번에 분류
+async function classifyImages(model, images) {
+  // 전처리 방식은 model.json 메타데이터를 따름 (preprocess.js)
+  const preprocessing = getPreprocessing(model);
+
+  // 중간 텐서는 tidy 안에서 정리되고 출력 텐서만 남음
+  const output = tf.tidy(() => {
+    const tensors = images.map((image) =>
+      preprocessImage(image, preprocessing)
+    );
+    return model.predict(tf.concat(tensors));
+  });
+
+  try {
+    return await output.array();
+  } finally {
+    output.dispose();
+  }
+}
+
+// 마지막 분류층 직전(dense_2)까지만 실행한 특징 벡터 (새 차종 학습용)
+async function extractFeatures(model, images) {
+  const preprocessing = getPreprocessing(model);
+  const featureNode = getFeatureNode(model);
+
+  const output = tf.tidy(() => {
+    const tensors = images.map((image) =>
+      preprocessImage(image, preprocessing)
+    );
+    return model.execute(tf.concat(tensors), featureNode);
+  });
+
+  try {
+    return await output.array();
+  } finally {
+    output.dispose();
+  }
+}
+
+// Grad-CAM 에 쓸 마지막 _FusedConv2D 특징맵과 softmax 직전 logit 노드
+function getGradCamNodes(model) {
+  const nodes = model.artifacts.modelTopology.node;
+  const convNodes = nodes.filter((node) => node.op === "_FusedConv2D");
+  const softmaxNode = nodes.find((node) => node.op === "Softmax");
+  return {
+    featureNode: convNodes[convNodes.length - 1].name,
+    logitsNode: softmaxNode.input[0].split(":")[0],
+  };
+}
+
+// classIndex 에 대한 [height, width] Grad-CAM 히트맵 텐서 (0~1)
+function computeGradCam(model, image, classIndex) {
+  const { featureNode, logitsNode } = getGradCamNodes(model);
+
+  return tf.tidy(() => {
+    const input = preprocessImage(image, getPreprocessing(model));
+    const features = model.execute(input, featureNode);
+
+    // 특징맵을 입력으로 넣어 나머지 그래프를 실행하고 클래스 점수를 미분
+    const score = (x) =>
+      model.execute({ [featureNode]: x }, logitsNode).gather([classIndex], 1);
+    const grads = tf.grad(score)(features);
+
+    // 채널별 기울기 평균을 가중치로 특징맵을 합산
+    const weights = grads.mean([1, 2], true);
+    const cam = features.mul(weights).sum(-1).relu().squeeze([0]);
+    return cam.div(cam.max().add(1e-8));
+  });
+}
+
+// 예측 근거 히트맵 [height][width] (gradCam.js 에서 표시)
+async function explainImage(model, image, classIndex) {
+  const cam = computeGradCam(model, image, classIndex);
+  try {
+    return await cam.array();
+  } finally {
+    cam.dispose();
+  }
+}
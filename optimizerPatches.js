@@ -0,0 +1,29 @@
+// tfjs 옵티마이저 클래스에 기능을 덧붙이는 도우미 (learningRateSchedules.js, gradientClipping.js 가 씀)
+// 두 파일보다 먼저 로드해야 함
+
+// cls 의 applyGradients, getConfig, fromConfig 를 patches 로 감쌈
+// applyGradients(원래 applyGradients, 기울기), getConfig(원래 설정), fromConfig(원래 fromConfig, 설정)
+function patchOptimizerClass(cls, patches) {
+  const { applyGradients, getConfig } = cls.prototype;
+  const { fromConfig } = cls;
+
+  cls.prototype.applyGradients = function (variableGradients) {
+    return patches.applyGradients.call(
+      this,
+      (gradients) => applyGradients.call(this, gradients),
+      variableGradients
+    );
+  };
+
+  cls.prototype.getConfig = function () {
+    return patches.getConfig.call(this, getConfig.call(this));
+  };
+
+  // registerClass 할 때의 fromConfig 가 SerializationMap 에 들어가므로 바꾼 뒤 다시 등록
+  cls.fromConfig = (target, config) =>
+    patches.fromConfig(
+      (patched) => fromConfig.call(cls, target, patched),
+      config
+    );
+  tf.serialization.registerClass(cls);
+}
@@ -0,0 +1,257 @@
+// tfjs 에 없는 옵티마이저: AdamW, Nadam, Lion
+// model.compile({ optimizer: "adamw" }) 처럼 이름으로도 쓸 수 있음
+// class_name 이 Keras 와 같은 "AdamW", "Nadam", "Lion" 이라 저장한 학습 설정으로 다시 만들어지고
+// 모멘트 슬롯은 model.save(…, { includeOptimizer: true }) 로 가중치와 같이 저장됨
+// learningRateSchedules.js 다음에 로드해야 학습률 스케줄을 받을 수 있음
+
+// 변수마다 상태(모멘트 등)를 슬롯으로 가지는 옵티마이저 공통
+// slotNames 순서대로 저장 (Adam 처럼 모든 변수의 첫 번째 슬롯, 그다음 두 번째 슬롯, ...)
+class SlotOptimizer extends tf.Optimizer {
+  constructor(slotNames) {
+    super();
+    this.slotNames = slotNames;
+    this.slots = slotNames.map(() => []);
+  }
+
+  // i 번째 변수의 슬롯 변수들 (처음이면 0 으로 만듦)
+  getSlots(name, i) {
+    const value = tf.engine().registeredVariables[name];
+    return this.slots.map((slot, j) => {
+      if (slot[i] == null) {
+        slot[i] = {
+          originalName: `${name}/${this.slotNames[j]}`,
+          variable: tf.tidy(() => tf.zerosLike(value).variable(false)),
+        };
+      }
+      return slot[i].variable;
+    });
+  }
+
+  // 변수마다 update(value, gradient, slots) 를 호출
+  applyGradients(variableGradients) {
+    const names = Array.isArray(variableGradients)
+      ? variableGradients.map((v) => v.name)
+      : Object.keys(variableGradients);
+
+    tf.tidy(() => {
+      this.beforeUpdate?.();
+      names.forEach((name, i) => {
+        const slots = this.getSlots(name, i);
+        const gradient = Array.isArray(variableGradients)
+          ? variableGradients[i].tensor
+          : variableGradients[name];
+        if (gradient == null) {
+          return;
+        }
+        this.update(tf.engine().registeredVariables[name], gradient, slots);
+      });
+    });
+    this.incrementIterations();
+  }
+
+  // 가중치 감쇠: 기울기와 상관없이 value -= learningRate * weightDecay * value
+  decayWeights(value) {
+    if (this.weightDecay) {
+      value.assign(value.mul(1 - this.learningRate * this.weightDecay));
+    }
+  }
+
+  dispose() {
+    super.dispose();
+    this.slots.forEach((slot) => tf.dispose(slot.map((v) => v.variable)));
+  }
+
+  async getWeights() {
+    const variables = this.slots.flat();
+    return [await this.saveIterations()].concat(
+      variables.map((v) => ({ name: v.originalName, tensor: v.variable }))
+    );
+  }
+
+  async setWeights(weightValues) {
+    weightValues = await this.extractIterations(weightValues);
+    const count = weightValues.length / this.slotNames.length;
+    this.slots = this.slotNames.map((_, j) =>
+      weightValues.slice(j * count, (j + 1) * count).map((v) => ({
+        originalName: v.name,
+        variable: v.tensor.variable(false),
+      }))
+    );
+  }
+
+  static fromConfig(cls, config) {
+    return new cls(config);
+  }
+}
+
+// Adam + 분리된 가중치 감쇠 (기울기에 L2 항을 더하는 대신 변수를 직접 줄임)
+class AdamWOptimizer extends SlotOptimizer {
+  constructor({
+    learningRate = 0.001,
+    weightDecay = 0.004,
+    beta1 = 0.9,
+    beta2 = 0.999,
+    epsilon = null,
+  } = {}) {
+    super(["m", "v"]);
+    this.learningRate = learningRate;
+    this.weightDecay = weightDecay;
+    this.beta1 = beta1;
+    this.beta2 = beta2;
+    this.epsilon = epsilon ?? tf.backend().epsilon();
+  }
+
+  update(value, gradient, [m, v]) {
+    const step = this.iterations + 1;
+    const newM = m.mul(this.beta1).add(gradient.mul(1 - this.beta1));
+    const newV = v.mul(this.beta2).add(gradient.square().mul(1 - this.beta2));
+    m.assign(newM);
+    v.assign(newV);
+
+    this.decayWeights(value);
+    const mHat = newM.div(1 - this.beta1 ** step);
+    const vHat = newV.div(1 - this.beta2 ** step);
+    value.assign(
+      value.sub(mHat.div(vHat.sqrt().add(this.epsilon)).mul(this.learningRate))
+    );
+  }
+
+  getConfig() {
+    return {
+      learningRate: this.learningRate,
+      weightDecay: this.weightDecay,
+      beta1: this.beta1,
+      beta2: this.beta2,
+      epsilon: this.epsilon,
+    };
+  }
+}
+AdamWOptimizer.className = "AdamW";
+
+// Adam + Nesterov 모멘텀 (Keras Nadam 과 같은 모멘텀 스케줄)
+class NadamOptimizer extends SlotOptimizer {
+  constructor({
+    learningRate = 0.001,
+    beta1 = 0.9,
+    beta2 = 0.999,
+    epsilon = null,
+  } = {}) {
+    super(["m", "v"]);
+    this.learningRate = learningRate;
+    this.beta1 = beta1;
+    this.beta2 = beta2;
+    this.epsilon = epsilon ?? tf.backend().epsilon();
+    // 지금까지 단계의 모멘텀 계수 곱
+    this.uProduct = 1;
+  }
+
+  // step 단계의 모멘텀 계수
+  momentumAt(step) {
+    return this.beta1 * (1 - 0.5 * 0.96 ** step);
+  }
+
+  beforeUpdate() {
+    this.uProduct *= this.momentumAt(this.iterations + 1);
+  }
+
+  update(value, gradient, [m, v]) {
+    const step = this.iterations + 1;
+    const u = this.momentumAt(step);
+    const uNext = this.momentumAt(step + 1);
+    const uProductNext = this.uProduct * uNext;
+
+    const newM = m.mul(this.beta1).add(gradient.mul(1 - this.beta1));
+    const newV = v.mul(this.beta2).add(gradient.square().mul(1 - this.beta2));
+    m.assign(newM);
+    v.assign(newV);
+
+    const mHat = newM
+      .mul(uNext / (1 - uProductNext))
+      .add(gradient.mul((1 - u) / (1 - this.uProduct)));
+    const vHat = newV.div(1 - this.beta2 ** step);
+    value.assign(
+      value.sub(mHat.div(vHat.sqrt().add(this.epsilon)).mul(this.learningRate))
+    );
+  }
+
+  async setWeights(weightValues) {
+    await super.setWeights(weightValues);
+    // 저장하지 않는 모멘텀 계수 곱은 단계 수로 다시 계산
+    this.uProduct = 1;
+    for (let step = 1; step <= this.iterations; step++) {
+      this.uProduct *= this.momentumAt(step);
+    }
+  }
+
+  getConfig() {
+    return {
+      learningRate: this.learningRate,
+      beta1: this.beta1,
+      beta2: this.beta2,
+      epsilon: this.epsilon,
+    };
+  }
+}
+NadamOptimizer.className = "Nadam";
+
+// 기울기 부호만 쓰는 옵티마이저 (변수마다 모멘텀 하나라 Adam 보다 메모리가 적음)
+// 보통 Adam 보다 3~10 배 작은 학습률을 씀
+class LionOptimizer extends SlotOptimizer {
+  constructor({
+    learningRate = 0.001,
+    beta1 = 0.9,
+    beta2 = 0.99,
+    weightDecay = 0,
+  } = {}) {
+    super(["m"]);
+    this.learningRate = learningRate;
+    this.beta1 = beta1;
+    this.beta2 = beta2;
+    this.weightDecay = weightDecay;
+  }
+
+  update(value, gradient, [m]) {
+    const direction = m
+      .mul(this.beta1)
+      .add(gradient.mul(1 - this.beta1))
+      .sign();
+    this.decayWeights(value);
+    value.assign(value.sub(direction.mul(this.learningRate)));
+    m.assign(m.mul(this.beta2).add(gradient.mul(1 - this.beta2)));
+  }
+
+  getConfig() {
+    return {
+      learningRate: this.learningRate,
+      beta1: this.beta1,
+      beta2: this.beta2,
+      weightDecay: this.weightDecay,
+    };
+  }
+}
+LionOptimizer.className = "Lion";
+
+// 학습률 스케줄을 받게 하면서 SerializationMap 에도 등록
+[AdamWOptimizer, NadamOptimizer, LionOptimizer].forEach(
+  useLearningRateSchedules
+);
+
+// compile({ optimizer: "adamw" }) 에서 쓸 이름 (기본 설정으로 만듦)
+const optimizerNames = {
+  adamw: AdamWOptimizer,
+  nadam: NadamOptimizer,
+  lion: LionOptimizer,
+};
+
+// tfjs-layers 는 정해진 이름만 알아서 여기서 먼저 옵티마이저로 바꿔 넘김
+// (Sequential.compile 도 내부 LayersModel 의 compile 을 부름)
+const layersModelCompile = tf.LayersModel.prototype.compile;
+tf.LayersModel.prototype.compile = function (args) {
+  const cls =
+    typeof args.optimizer === "string" &&
+    optimizerNames[args.optimizer.toLowerCase()];
+  return layersModelCompile.call(
+    this,
+    cls ? { ...args, optimizer: new cls() } : args
+  );
+};
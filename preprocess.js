@@ -0,0 +1,14 @@
+// 모델 입력 전처리 (학습 때와 같은 방식으로 맞춤)
+// 기본값과 자르기·리사이즈·정규화는 서버와 같이 쓰는 modelCommon.js
+
+// 이미지(또는 [height, width, 3] 텐서)를 [1, height, width, 3] 입력으로 변환
+function preprocessImage(image, preprocessing = defaultPreprocessing) {
+  return tf.tidy(() =>
+    // 웹캠 프레임처럼 이미 텐서인 경우는 그대로 사용
+    preprocessPixels(
+      tf,
+      image instanceof tf.Tensor ? image : tf.browser.fromPixels(image),
+      preprocessing
+    )
+  );
+}
@@ -0,0 +1,9 @@
+// 오프라인(PWA) 모드: 서비스 워커 등록 (serviceWorker.js)
+// 서비스 워커는 https 또는 localhost 에서만 동작
+if ("serviceWorker" in navigator) {
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("./serviceWorker.js").catch((error) => {
+      console.warn("서비스 워커 등록 실패:", error);
+    });
+  });
+}
@@ -0,0 +1,54 @@
+// images/자동차_누끼컷 의 모든 이미지 임베딩을 model2/embeddings.json 으로 저장
+// 실행: npm run build:embeddings
+import { readdir, readFile, writeFile } from "fs/promises";
+import path from "path";
+import { fileURLToPath } from "url";
+import { loadModel, getFeatureNode, embedImage } from "./classifier.js";
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const galleryDir = path.join(rootDir, "images", "자동차_누끼컷");
+const modelPath = path.join(rootDir, "model2", "model.json");
+const indexPath = path.join(rootDir, "model2", "embeddings.json");
+
+// 하위 폴더까지 이미지 파일 경로 수집
+async function findImages(dir) {
+  const entries = await readdir(dir, { withFileTypes: true });
+  const files = [];
+  for (const entry of entries) {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      files.push(...(await findImages(entryPath)));
+    } else if (/\.(png|jpe?g)$/i.test(entry.name)) {
+      files.push(entryPath);
+    }
+  }
+  return files.sort();
+}
+
+const model = await loadModel(modelPath);
+const files = await findImages(galleryDir);
+const images = [];
+
+for (const [i, file] of files.entries()) {
+  const embedding = await embedImage(model, await readFile(file));
+  images.push({
+    // 브라우저에서 그대로 쓸 수 있게 저장소 루트 기준 경로
+    path: path.relative(rootDir, file).split(path.sep).join("/"),
+    // 폴더 이름이 제조사
+    brand: path.basename(path.dirname(file)),
+    name: path.basename(file, path.extname(file)),
+    // JSON 크기를 줄이려고 소수점 5자리까지만 저장
+    embedding: embedding.map((value) => Number(value.toFixed(5))),
+  });
+  console.log(`${i + 1}/${files.length} ${path.relative(galleryDir, file)}`);
+}
+
+await writeFile(
+  indexPath,
+  JSON.stringify({
+    node: getFeatureNode(model),
+    dimension: images[0]?.embedding.length ?? 0,
+    images,
+  })
+);
+console.log(`${indexPath} 저장 완료 (${images.length}개)`);
@@ -0,0 +1,109 @@
+// 서버(Node)에서 model2 를 CPU 백엔드로 실행하는 분류기
+import { readFile } from "fs/promises";
+import path from "path";
+import * as tf from "@tensorflow/tfjs-core";
+import "@tensorflow/tfjs-backend-cpu";
+import { loadGraphModel } from "@tensorflow/tfjs-converter";
+import jpeg from "jpeg-js";
+import { PNG } from "pngjs";
+import "../modelCommon.js";
+
+// 브라우저와 같이 쓰는 함수 (modelCommon.js)
+export const { getPreprocessing, getFeatureNode } = globalThis.modelCommon;
+const {
+  defaultPreprocessing,
+  preprocessPixels,
+  getNumClasses,
+  validateCatalog,
+} = globalThis.modelCommon;
+
+// 디스크의 model.json 과 가중치 샤드를 읽어오는 IOHandler
+function fileSystemHandler(modelPath) {
+  const modelDir = path.dirname(modelPath);
+
+  return {
+    async load() {
+      const modelJSON = JSON.parse(await readFile(modelPath, "utf8"));
+
+      return tf.io.getModelArtifactsForJSON(modelJSON, async (manifest) => {
+        const buffers = [];
+        for (const group of manifest) {
+          for (const shard of group.paths) {
+            const buffer = await readFile(path.join(modelDir, shard));
+            buffers.push(
+              buffer.buffer.slice(
+                buffer.byteOffset,
+                buffer.byteOffset + buffer.byteLength
+              )
+            );
+          }
+        }
+        return [
+          tf.io.getWeightSpecs(manifest),
+          tf.io.concatenateArrayBuffers(buffers),
+        ];
+      });
+    },
+  };
+}
+
+// 모델 로드
+export async function loadModel(modelPath) {
+  await tf.setBackend("cpu");
+  return loadGraphModel(fileSystemHandler(modelPath));
+}
+
+// model.json 옆의 catalog.json 을 읽고 모델 출력과 맞는지 확인
+export async function loadCatalog(modelPath, model) {
+  const catalogPath = path.join(path.dirname(modelPath), "catalog.json");
+  const { classes } = JSON.parse(await readFile(catalogPath, "utf8"));
+  return validateCatalog(classes, getNumClasses(model));
+}
+
+// 업로드된 이미지(JPEG/PNG)를 [height, width, 3] 텐서로 변환
+export function decodeImage(buffer) {
+  let image;
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    image = jpeg.decode(buffer, { useTArray: true });
+  } else if (buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504e47) {
+    image = PNG.sync.read(buffer);
+  } else {
+    throw new Error("JPEG 또는 PNG 이미지만 지원합니다.");
+  }
+
+  return tf.tidy(() =>
+    tf.slice(
+      tf.tensor3d(new Uint8Array(image.data), [image.height, image.width, 4]),
+      [0, 0, 0],
+      [-1, -1, 3]
+    )
+  );
+}
+
+// 브라우저의 preprocessImage 와 같은 전처리
+export function preprocessImage(image, preprocessing = defaultPreprocessing) {
+  return preprocessPixels(tf, image, preprocessing);
+}
+
+// 이미지 분류
+export async function classifyImage(model, catalog, buffer) {
+  const image = decodeImage(buffer);
+  const input = preprocessImage(image, getPreprocessing(model));
+  const output = model.predict(input);
+  const probabilities = Array.from(await output.data());
+  tf.dispose([image, input, output]);
+
+  const index = probabilities.indexOf(Math.max(...probabilities));
+  return { index, label: catalog[index].name, probabilities };
+}
+
+// 이미지 임베딩: 특징 벡터를 길이 1 로 정규화해서 내적이 곧 코사인 유사도
+export async function embedImage(model, buffer) {
+  const image = decodeImage(buffer);
+  const input = preprocessImage(image, getPreprocessing(model));
+  const output = model.execute(input, getFeatureNode(model));
+  const normalized = tf.div(output, tf.add(tf.norm(output), 1e-8));
+  const embedding = Array.from(await normalized.data());
+  tf.dispose([image, input, output, normalized]);
+  return embedding;
+}
@@ -0,0 +1,238 @@
+// 오프라인(PWA) 모드: 페이지, tfjs, model2 파일을 미리 캐시해서 네트워크 없이도 분류
+// 캐시 이름에 model.json 해시(modelManager 의 modelVersion 과 같은 값)를 붙여서
+// 모델이 바뀌면 새 캐시를 만들고 이전 캐시는 지움
+const CACHE_PREFIX = "car-search-";
+const MODEL_URL = "./model2/model.json";
+
+// 하나라도 받지 못하면 설치 실패
+const APP_SHELL = [
+  "./",
+  "./index.html",
+  "./sub1.html",
+  "./sub2.html",
+  "./sub3.html",
+  "./sub4.html",
+  "./sub5.html",
+  "./manifest.webmanifest",
+  "./images/icon.svg",
+  "./css/reset.css",
+  "./css/main.css",
+  "./pwa.js",
+  "./slider.js",
+  "./modelCommon.js",
+  "./preprocess.js",
+  "./modelManager.js",
+  "./classifyService.js",
+  "./classifyWorker.js",
+  "./augmentation.js",
+  "./customCars.js",
+  "./carSpecs.js",
+  "./tensorflow.js",
+  "./history.js",
+  "./teachPanel.js",
+  "./gradCam.js",
+  "./similarity.js",
+  "./backgroundRemoval.js",
+  "./webcam.js",
+  "./memoryOverlay.js",
+  "./evaluation.js",
+  "./@tensorflow/tfjs/dist/tf.min.js",
+  "./@tensorflow/tfjs-converter/metadata/kernel2op.json",
+  "./model2/catalog.json",
+];
+
+// 없어도 되는 파일 (받지 못하면 해당 기능만 온라인에서 동작)
+const OPTIONAL_FILES = ["./model2/embeddings.json"];
+
+// 웹 폰트는 다른 출처라 처음 받을 때 캐시
+const FONT_ORIGINS = [
+  "https://fonts.googleapis.com",
+  "https://fonts.gstatic.com",
+];
+
+const toUrl = (path) => new URL(path, self.location.href).href;
+const APP_SHELL_URLS = new Set(APP_SHELL.map(toUrl));
+
+async function sha256Hex(buffer) {
+  const digest = await crypto.subtle.digest("SHA-256", buffer);
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+// model.json 응답 → 캐시 이름
+async function getCacheName(response) {
+  const buffer = await response.clone().arrayBuffer();
+  return CACHE_PREFIX + (await sha256Hex(buffer)).slice(0, 16);
+}
+
+// 지금 사용하는 캐시 (가장 나중에 만든 것)
+async function getCurrentCacheName() {
+  const names = (await caches.keys()).filter((name) =>
+    name.startsWith(CACHE_PREFIX)
+  );
+  return names[names.length - 1] ?? null;
+}
+
+// model.json 의 weightsManifest 에 있는 샤드 경로
+const getShardUrls = (modelJSON, modelUrl) =>
+  modelJSON.weightsManifest.flatMap((group) =>
+    group.paths.map((shardPath) => new URL(shardPath, toUrl(modelUrl)).href)
+  );
+
+// 실패해도 되는 파일들을 캐시하고 받지 못한 파일 목록 반환
+async function addOptional(cache, urls) {
+  const results = await Promise.allSettled(urls.map((url) => cache.add(url)));
+  return urls.filter((_, i) => results[i].status === "rejected");
+}
+
+// model.json 응답으로 해당 버전의 캐시를 채움
+async function precache(modelResponse) {
+  const cacheName = await getCacheName(modelResponse);
+  if (await caches.has(cacheName)) {
+    return cacheName;
+  }
+
+  const cache = await caches.open(cacheName);
+  try {
+    await cache.addAll(APP_SHELL);
+    await cache.put(MODEL_URL, modelResponse.clone());
+
+    // 샤드가 빠져 있으면 modelManager 가 ModelIntegrityError 로 알려주므로 여기서는 건너뜀
+    const modelJSON = await modelResponse.clone().json();
+    const missing = await addOptional(cache, [
+      ...getShardUrls(modelJSON, MODEL_URL),
+      ...OPTIONAL_FILES.map(toUrl),
+    ]);
+
+    if (missing.length > 0) {
+      console.warn("오프라인용으로 캐시하지 못한 파일:", missing);
+    }
+  } catch (error) {
+    // 반쪽짜리 캐시가 현재 버전으로 쓰이지 않게 삭제
+    await caches.delete(cacheName);
+    throw error;
+  }
+  return cacheName;
+}
+
+async function deleteOldCaches(currentName) {
+  const names = await caches.keys();
+  await Promise.all(
+    names
+      .filter((name) => name.startsWith(CACHE_PREFIX) && name !== currentName)
+      .map((name) => caches.delete(name))
+  );
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    fetch(MODEL_URL, { cache: "no-cache" })
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(`${MODEL_URL} 요청 실패 (${response.status})`);
+        }
+        return precache(response);
+      })
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    getCurrentCacheName()
+      .then(deleteOldCaches)
+      .then(() => self.clients.claim())
+  );
+});
+
+// model.json: 네트워크 먼저, 해시가 바뀌었으면 새 버전 캐시를 만들고 이전 캐시 삭제
+async function handleModelJson(event) {
+  try {
+    const response = await fetch(event.request);
+    if (response.ok) {
+      // 페이지가 본문을 읽기 전에 복사
+      const copy = response.clone();
+      event.waitUntil(
+        (async () => {
+          const cacheName = await getCacheName(copy);
+          if (cacheName !== (await getCurrentCacheName())) {
+            await deleteOldCaches(await precache(copy));
+          }
+        })().catch((error) => {
+          console.warn("새 모델 캐시 실패:", error);
+        })
+      );
+    }
+    return response;
+  } catch (error) {
+    return (await caches.match(MODEL_URL)) ?? Response.error();
+  }
+}
+
+// 샤드 등 모델 파일: 버전마다 경로가 같으므로 네트워크 먼저, 오프라인이면 캐시
+// (캐시에 넣는 것은 precache 가 model.json 버전에 맞춰서 함)
+async function handleModelFile(request) {
+  try {
+    return await fetch(request);
+  } catch (error) {
+    return (await caches.match(request)) ?? Response.error();
+  }
+}
+
+// 나머지: 캐시 먼저, 없으면 받아서 캐시 (이미지, 폰트)
+// 페이지·스크립트는 캐시로 바로 응답하고 뒤에서 새 파일로 갱신
+async function handleStatic(event) {
+  const { request } = event;
+  const cached = await caches.match(request, { ignoreSearch: true });
+
+  const update = () =>
+    fetch(request).then(async (response) => {
+      const cacheName = await getCurrentCacheName();
+      if (cacheName && (response.ok || response.type === "opaque")) {
+        const cache = await caches.open(cacheName);
+        await cache.put(request, response.clone());
+      }
+      return response;
+    });
+
+  if (cached) {
+    if (APP_SHELL_URLS.has(request.url.split("?")[0])) {
+      event.waitUntil(update().catch(() => {}));
+    }
+    return cached;
+  }
+  try {
+    return await update();
+  } catch (error) {
+    // 오프라인에서 처음 여는 페이지는 첫 페이지로
+    if (request.mode === "navigate") {
+      return (await caches.match("./index.html")) ?? Response.error();
+    }
+    throw error;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  // 동영상 등 부분 요청(206)은 캐시할 수 없음
+  if (request.method !== "GET" || request.headers.has("range")) {
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    if (url.pathname.startsWith("/api/")) {
+      return;
+    }
+    if (url.href.split("?")[0] === toUrl(MODEL_URL)) {
+      event.respondWith(handleModelJson(event));
+    } else if (/\.bin$/.test(url.pathname)) {
+      event.respondWith(handleModelFile(request));
+    } else {
+      event.respondWith(handleStatic(event));
+    }
+  } else if (FONT_ORIGINS.includes(url.origin)) {
+    event.respondWith(handleStatic(event));
+  }
+});
@@ -0,0 +1,170 @@
+// 유사 이미지 검색: 업로드한 사진과 가장 비슷한 갤러리 이미지를 찾음
+// 인덱스는 npm run build:embeddings 로 미리 만들어둔 model2/embeddings.json
+const EMBEDDINGS_URL = "./model2/embeddings.json";
+
+const similarityConfig = {
+  // 보여줄 비슷한 이미지 수
+  k: 5,
+};
+
+const similarToggle = document.querySelector(".similar_toggle input");
+
+let embeddingIndexPromise = null;
+
+// 임베딩 인덱스를 한 번만 불러옴 (아직 만들지 않았으면 null)
+function loadEmbeddingIndex() {
+  if (!embeddingIndexPromise) {
+    embeddingIndexPromise = fetch(EMBEDDINGS_URL, { cache: "no-cache" })
+      .then((response) => {
+        if (response.status === 404) {
+          return null;
+        }
+        if (!response.ok) {
+          throw new Error(`${EMBEDDINGS_URL} 요청 실패 (${response.status})`);
+        }
+        return response.json();
+      })
+      .catch((error) => {
+        embeddingIndexPromise = null;
+        throw error;
+      });
+  }
+  return embeddingIndexPromise;
+}
+
+// 이미지 임베딩: 분류기의 특징 벡터를 길이 1 로 정규화 (서버의 embedImage 와 같은 방식)
+async function embedImage(classifier, image) {
+  const [features] = await classifier.features([image]);
+  return tf.tidy(() => {
+    const output = tf.tensor1d(features);
+    return output.div(output.norm().add(1e-8));
+  });
+}
+
+// 코사인 유사도가 높은 순서로 k 개 [{ image, similarity }]
+async function findSimilar(embedding, index, k = similarityConfig.k) {
+  const { values, indices } = tf.tidy(() => {
+    const matrix = tf.tensor2d(index.images.map((image) => image.embedding));
+    const normalized = matrix.div(matrix.norm("euclidean", 1, true).add(1e-8));
+    const similarities = normalized
+      .matMul(embedding.expandDims(1))
+      .squeeze([1]);
+    return tf.topk(similarities, Math.min(k, index.images.length));
+  });
+
+  try {
+    const [similarities, order] = await Promise.all([
+      values.array(),
+      indices.array(),
+    ]);
+    return order.map((i, rank) => ({
+      image: index.images[i],
+      similarity: similarities[rank],
+    }));
+  } finally {
+    tf.dispose([values, indices]);
+  }
+}
+
+// 결과 패널 아래의 유사 이미지 영역 (제목만 있는 빈 영역)
+function createSimilarContainer() {
+  const similarContainer = document.createElement("div");
+  const title = document.createElement("h3");
+  similarContainer.className = "similar";
+  title.innerText = "비슷한 차량";
+  similarContainer.appendChild(title);
+  return similarContainer;
+}
+
+function showSimilar(similarContainer) {
+  const container = document.getElementsByClassName("search_container")[0];
+  container.querySelector(".similar")?.remove();
+  container.appendChild(similarContainer);
+}
+
+// 인덱스가 없거나 검색에 실패했을 때 유사 이미지 자리에 안내를 표시
+function paintSimilarMessage(result, text) {
+  if (currentResult !== result) {
+    return;
+  }
+  const similarContainer = createSimilarContainer();
+  const message = document.createElement("p");
+  message.className = "similar_message";
+  message.innerText = text;
+  similarContainer.appendChild(message);
+  showSimilar(similarContainer);
+}
+
+function paintSimilarError(result, error) {
+  console.error(error);
+  paintSimilarMessage(
+    result,
+    `비슷한 차량을 찾지 못했습니다: ${error.message}`
+  );
+}
+
+// 특징 벡터는 분류기(Worker 또는 메인 스레드)가 가진 model2 로 계산 (classifyService.js)
+async function paintSimilar(result) {
+  const [classifier, index] = await Promise.all([
+    getClassifier(paintProgress),
+    loadEmbeddingIndex(),
+  ]);
+
+  if (!index) {
+    paintSimilarMessage(
+      result,
+      "유사 이미지 인덱스가 아직 없습니다. npm run build:embeddings 로 model2/embeddings.json 을 만들어주세요."
+    );
+    return;
+  }
+  if (index.node !== classifier.featureNode) {
+    throw new Error(
+      "embeddings.json 이 현재 모델과 맞지 않습니다. 인덱스를 다시 만들어주세요."
+    );
+  }
+
+  const embedding = await embedImage(
+    classifier,
+    result.cleaned ?? result.image
+  );
+  let similar;
+  try {
+    similar = await findSimilar(embedding, index);
+  } finally {
+    embedding.dispose();
+  }
+
+  // 그 사이 다른 결과를 선택했으면 그리지 않음
+  if (currentResult !== result) {
+    return;
+  }
+
+  const similarContainer = createSimilarContainer();
+  similar.forEach(({ image, similarity }) => {
+    const item = document.createElement("figure");
+    const img = document.createElement("img");
+    const caption = document.createElement("figcaption");
+
+    item.className = "similar_item";
+    img.src = `./${image.path}`;
+    img.alt = image.name;
+    caption.innerText = `${image.brand} ${image.name} (${(
+      similarity * 100
+    ).toFixed(1)}%)`;
+
+    item.appendChild(img);
+    item.appendChild(caption);
+    similarContainer.appendChild(item);
+  });
+
+  showSimilar(similarContainer);
+}
+
+similarToggle.addEventListener("change", () => {
+  if (similarToggle.checked && currentResult?.image) {
+    const result = currentResult;
+    paintSimilar(result).catch((error) => paintSimilarError(result, error));
+  } else {
+    document.querySelector(".search_container .similar")?.remove();
+  }
+});
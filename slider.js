@@ -1,62 +1,177 @@
-// const leftBtn = document.getElementById("leftBtn");
-
-// function clickLeftBtn() {}
-
-// leftBtn.addEventListener("click", clickLeftBtn);
-
-// function fullSlider() {
-//   $("#full-slide .prev, #full-slide .next").click(function () {
-//     var current = $(".banner").find(".active");
-//     var position = $(".banner").children().index(current);
-//     var totalPics = $(".banner").children().length;
-
-//     if ($(this).hasClass("next")) {
-//       if (position < totalPics - 1) {
-//         current.removeClass("active").next().addClass("active");
-//       } else {
-//         $(".banner li").removeClass("active").first().addClass("active");
-//       }
-//     } else {
-//       if (position === 0) {
-//         $(".banner li").removeClass("active").last().addClass("active");
-//       } else {
-//         current.removeClass("active").prev().addClass("active");
-//       }
-//     }
-//   });
-// }
-const slideContainer = document.querySelector(".slide_container");
-const slideItems = document.querySelectorAll(".slide_container > div");
-const slideWidth = slideItems[0].offsetWidth;
-let slideIndex = 0;
-
-// 슬라이드 이동 함수
-function moveSlide(index) {
-  slideContainer.style.transform = `translateX(-${slideWidth * index}px)`;
-}
+// 슬라이드(캐러셀): 한 페이지에 여러 개를 둘 수 있음
+// <section class="slide_section" data-autoplay="5000" aria-label="...">
+//   <div class="slide_wrap"><div class="slide_container"><div>슬라이드</div>...</div></div>
+//   <button class="left slide_btn"></button><button class="right slide_btn"></button>
+// </section>
+const sliderConfig = {
+  // 이만큼(슬라이드 폭 비율) 넘게 밀면 다음/이전 슬라이드로 이동
+  swipeThreshold: 0.2,
+};
+
+function createCarousel(root, { autoplay = 0 } = {}) {
+  const wrap = root.querySelector(".slide_wrap");
+  const container = root.querySelector(".slide_container");
+  const slides = Array.from(container.children);
+  const prevButton = root.querySelector(".slide_btn.left");
+  const nextButton = root.querySelector(".slide_btn.right");
+  const reducedMotion = matchMedia("(prefers-reduced-motion: reduce)").matches;
+
+  let slideIndex = 0;
+  let timer = null;
+  let paused = false;
+  let drag = null;
+
+  // 스크린리더용 설명
+  root.setAttribute("role", "region");
+  root.setAttribute("aria-roledescription", "carousel");
+  root.tabIndex = 0;
+  slides.forEach((slide, i) => {
+    slide.setAttribute("role", "group");
+    slide.setAttribute("aria-roledescription", "slide");
+    slide.setAttribute("aria-label", `${i + 1} / ${slides.length}`);
+  });
+  prevButton?.setAttribute("aria-label", "이전 슬라이드");
+  nextButton?.setAttribute("aria-label", "다음 슬라이드");
+
+  // 슬라이드가 바뀌면 읽어주는 영역 (자동 재생 중에는 읽지 않음)
+  const status = document.createElement("p");
+  status.className = "slide_status";
+  root.appendChild(status);
+
+  // 점 표시
+  const dots = document.createElement("div");
+  dots.className = "slide_dots";
+  const dotButtons = slides.map((_, i) => {
+    const dot = document.createElement("button");
+    dot.type = "button";
+    dot.setAttribute("aria-label", `${i + 1}번 슬라이드로 이동`);
+    dot.addEventListener("click", () => goTo(i));
+    dots.appendChild(dot);
+    return dot;
+  });
+  root.appendChild(dots);
 
-// 다음 슬라이드 보기
-function nextSlide() {
-  if (slideIndex === slideItems.length - 1) {
-    slideIndex = 0;
-  } else {
-    slideIndex++;
+  // 슬라이드 폭은 화면 크기에 따라 바뀌므로 이동할 때마다 다시 잼
+  function moveSlide(offset = 0) {
+    const slideWidth = wrap.clientWidth;
+    container.style.transform = `translateX(${
+      -slideWidth * slideIndex + offset
+    }px)`;
   }
-  moveSlide(slideIndex);
-}
 
-// 이전 슬라이드 보기
-function prevSlide() {
-  if (slideIndex === 0) {
-    slideIndex = slideItems.length - 1;
-  } else {
-    slideIndex--;
+  function goTo(index) {
+    slideIndex = (index + slides.length) % slides.length;
+    moveSlide();
+
+    slides.forEach((slide, i) => {
+      slide.setAttribute("aria-hidden", String(i !== slideIndex));
+    });
+    dotButtons.forEach((dot, i) => {
+      dot.classList.toggle("active", i === slideIndex);
+      dot.setAttribute("aria-current", String(i === slideIndex));
+    });
+    status.innerText = `${slides.length}장 중 ${slideIndex + 1}번째 슬라이드`;
+  }
+
+  const nextSlide = () => goTo(slideIndex + 1);
+  const prevSlide = () => goTo(slideIndex - 1);
+
+  // 자동 재생 (마우스를 올리거나 포커스가 있으면 멈춤)
+  function updateAutoplay() {
+    clearInterval(timer);
+    timer = null;
+    const playing = autoplay > 0 && !reducedMotion && !paused;
+    if (playing) {
+      timer = setInterval(nextSlide, autoplay);
+    }
+    status.setAttribute("aria-live", playing ? "off" : "polite");
   }
-  moveSlide(slideIndex);
-}
 
-// 이전 버튼 클릭 시 이전 슬라이드 보기
-document.getElementById("leftBtn").addEventListener("click", prevSlide);
+  const pause = () => {
+    paused = true;
+    updateAutoplay();
+  };
+  const resume = () => {
+    paused = false;
+    updateAutoplay();
+  };
+
+  root.addEventListener("mouseenter", pause);
+  root.addEventListener("mouseleave", resume);
+  root.addEventListener("focusin", pause);
+  root.addEventListener("focusout", (event) => {
+    if (!root.contains(event.relatedTarget)) {
+      resume();
+    }
+  });
+
+  prevButton?.addEventListener("click", prevSlide);
+  nextButton?.addEventListener("click", nextSlide);
+
+  // 방향키, Home, End
+  root.addEventListener("keydown", (event) => {
+    const keys = {
+      ArrowLeft: prevSlide,
+      ArrowRight: nextSlide,
+      Home: () => goTo(0),
+      End: () => goTo(slides.length - 1),
+    };
+    if (keys[event.key]) {
+      event.preventDefault();
+      keys[event.key]();
+    }
+  });
+
+  // 스와이프 (터치, 펜, 마우스 드래그)
+  wrap.addEventListener("pointerdown", (event) => {
+    drag = { startX: event.clientX, pointerId: event.pointerId };
+    wrap.setPointerCapture(event.pointerId);
+    container.classList.add("dragging");
+  });
+
+  wrap.addEventListener("pointermove", (event) => {
+    if (drag?.pointerId === event.pointerId) {
+      moveSlide(event.clientX - drag.startX);
+    }
+  });
+
+  const endDrag = (event) => {
+    if (drag?.pointerId !== event.pointerId) {
+      return;
+    }
+    const distance = event.clientX - drag.startX;
+    drag = null;
+    container.classList.remove("dragging");
+
+    if (Math.abs(distance) > wrap.clientWidth * sliderConfig.swipeThreshold) {
+      if (distance < 0) {
+        nextSlide();
+      } else {
+        prevSlide();
+      }
+    } else {
+      moveSlide();
+    }
+  };
+  wrap.addEventListener("pointerup", endDrag);
+  wrap.addEventListener("pointercancel", endDrag);
+
+  // 이미지를 끌어서 새 탭으로 여는 기본 동작 막기
+  wrap.addEventListener("dragstart", (event) => event.preventDefault());
+
+  // 화면 크기가 바뀌면 위치를 다시 계산 (이동 애니메이션 없이)
+  window.addEventListener("resize", () => {
+    container.classList.add("dragging");
+    moveSlide();
+    requestAnimationFrame(() => container.classList.remove("dragging"));
+  });
+
+  goTo(0);
+  updateAutoplay();
+
+  return { goTo, nextSlide, prevSlide, pause, resume };
+}
 
-// 다음 버튼 클릭 시 다음 슬라이드 보기
-document.getElementById("rightBtn").addEventListener("click", nextSlide);
+document.querySelectorAll(".slide_section").forEach((root) => {
+  createCarousel(root, { autoplay: Number(root.dataset.autoplay) || 0 });
+});
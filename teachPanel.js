@@ -0,0 +1,90 @@
+// SEARCH 페이지의 새 차종 가르치기 화면 (학습은 customCars.js)
+const teachName = document.getElementsByClassName("teach_name")[0];
+const teachNames = document.getElementById("teach_names");
+const teachPrice = document.getElementsByClassName("teach_price")[0];
+const teachEfficiency = document.getElementsByClassName("teach_efficiency")[0];
+const teachFuel = document.getElementsByClassName("teach_fuel")[0];
+const teachImages = document.getElementsByClassName("teach_images")[0];
+const teachButton = document.getElementsByClassName("teach_start")[0];
+const teachResetButton = document.getElementsByClassName("teach_reset")[0];
+const teachStatus = document.getElementsByClassName("teach_status")[0];
+
+// 새로 가르친 차종 이름 (고르면 그 차종의 예시로 추가됨)
+const paintTeachNames = async () => {
+  const customHead = await getCustomHead();
+  teachNames.innerHTML = "";
+  (customHead?.classes ?? []).forEach((car) => {
+    const option = document.createElement("option");
+    option.value = car.name;
+    teachNames.appendChild(option);
+  });
+};
+
+teachName.addEventListener("focus", paintTeachNames);
+
+teachButton.addEventListener("click", async () => {
+  const name = teachName.value.trim();
+  const files = Array.from(teachImages.files);
+  if (!name || files.length === 0) {
+    teachStatus.innerText = "차종 이름과 예시 사진을 넣어주세요.";
+    return;
+  }
+
+  teachButton.disabled = true;
+  teachResetButton.disabled = true;
+  let images = [];
+  try {
+    // 일부만 읽혀도 읽은 이미지의 object URL 은 finally 에서 해제
+    const loaded = await Promise.allSettled(files.map(loadImage));
+    images = loaded
+      .filter((outcome) => outcome.status === "fulfilled")
+      .map((outcome) => outcome.value);
+    const failed = loaded.find((outcome) => outcome.status === "rejected");
+    if (failed) {
+      throw failed.reason;
+    }
+    const entry = await teachCar(
+      {
+        name,
+        price: teachPrice.value.trim() || "-",
+        fuelEfficiency: teachEfficiency.value.trim() || "-",
+        fuel: teachFuel.value.trim() || "-",
+      },
+      images,
+      (epoch, logs) => {
+        teachStatus.innerText = `학습 중 ${epoch + 1}/${
+          teachConfig.epochs
+        } (정확도 ${(logs.acc * 100).toFixed(1)}%)`;
+      }
+    );
+    data = await getCatalog(paintProgress);
+    teachStatus.innerText = `${entry.name} 학습 완료 (사진 ${files.length}장)`;
+    teachImages.value = "";
+  } catch (error) {
+    teachStatus.innerText = `학습 실패: ${error.message}`;
+    console.error(error);
+  } finally {
+    images.forEach((image) => URL.revokeObjectURL(image.src));
+    teachButton.disabled = false;
+    teachResetButton.disabled = false;
+  }
+});
+
+teachResetButton.addEventListener("click", async () => {
+  if (!confirm("새로 학습한 차종을 모두 지울까요?")) {
+    return;
+  }
+  teachButton.disabled = true;
+  teachResetButton.disabled = true;
+  try {
+    await resetCustomCars();
+    data = await getCatalog(paintProgress);
+    teachStatus.innerText = "학습한 차종을 모두 지웠습니다.";
+  } catch (error) {
+    teachStatus.innerText = `초기화 실패: ${error.message}`;
+    console.error(error);
+  } finally {
+    teachButton.disabled = false;
+    teachResetButton.disabled = false;
+  }
+});
@@ -1,74 +1,116 @@
 // import * as tf from "/@tensorflow/tfjs";
-const data = [
-  {
-    url: "스파크",
-    name: "SPARK",
-    price: "977~1,487만원",
-    fuelEfficiency: "복합 14.4~15km/ℓ 도심 13.4~14.3, 고속 16~16.1",
-    fuel: "가솔린",
-  },
-  {
-    url: "gv60",
-    name: "GV60",
-    price: "6,493~7,413만원",
-    fuelEfficiency: "복합 4.1~5.1km/kWh 도심 4.3~5.7, 고속 3.8~4.5",
-    fuel: "전기",
-  },
-  {
-    url: "아이오닉5",
-    name: "IONIQ5",
-    price: "5,005~6,135만원 ",
-    fuelEfficiency: "복합 4.7~5.2km/kWh 도심 5.3~5.9, 고속 4.2~4.5",
-    fuel: "전기",
-  },
-  {
-    url: "k5",
-    name: "K5",
-    price: "2,400~3,284만원 ",
-    fuelEfficiency: "복합 9.8~13.6km/ℓ 도심 8.7~12.1, 고속 11.4~16",
-    fuel: "LPG, 가솔린",
-  },
-];
-
-async function loadModel() {
-  const model = await tf.loadGraphModel("./model2/model.json");
-  return model;
-}
-
-// 이미지 로드 및 전처리
-async function preprocessImage(image) {
-  // 이미지 크기를 모델이 예상하는 크기로 조정
-  const tensor = tf.browser
-    .fromPixels(image)
-    .resizeNearestNeighbor([300, 300])
-    .toFloat();
-
-  // 이미지를 모델이 예상하는 형식으로 정규화
-  const offset = tf.scalar(255);
-  const normalized = tensor.div(offset);
-  const normalized2 = tf.expandDims(normalized, 0);
-  // 모델이 예상하는 형식의 텐서로 변환하여 반환
-  return normalized2;
-}
+// 클래스 인덱스 순서의 차량 정보 (model2/catalog.json 에서 로드)
+let data = [];
 
-// 이미지 분류
-async function classifyImage(model, image) {
-  // 이미지 전처리
-  const tensor = await preprocessImage(image);
-  console.log(tensor);
-  const tensorData = tensor.dataSync();
-  const tensor3D = tf.tensor4d(tensorData, [1, 300, 300, 3]);
+// 검색 결과 설정
+const searchConfig = {
+  // 결과 패널에 보여줄 후보 수
+  topK: 3,
+  // 보정된 최대 확률이 이 값보다 낮으면 "알 수 없음"으로 표시
+  unknownThreshold: 0.6,
+  // 온도 스케일링 값 (1 이면 모델 출력 그대로, 클수록 확률이 완만해짐)
+  temperature: 1,
+  // 한 번에 모델에 넣을 이미지 수
+  batchSize: 8,
+};
 
-  // 모델을 사용하여 예측 수행
-  const predictions = await model.predict(tensor3D).data();
+// 온도 스케일링으로 확률 보정
+const calibrate = (probabilities, temperature) => {
+  const scaled = Array.from(probabilities, (p) => Math.pow(p, 1 / temperature));
+  const sum = scaled.reduce((a, b) => a + b, 0);
+  return scaled.map((p) => p / sum);
+};
 
-  // 예측 결과 반환
-  return predictions;
-}
+// 확률이 높은 순서로 k 개의 후보
+const getTopK = (probabilities, k) =>
+  probabilities
+    .map((probability, index) => ({ index, probability }))
+    .sort((a, b) => b.probability - a.probability)
+    .slice(0, k);
 
 const searchstart = document.getElementsByClassName("searchstart")[0];
 
-const paintInfo = (index) => {
+// 후보별 신뢰도 막대
+const paintRanking = (container, ranking) => {
+  const rankContainer = document.createElement("ul");
+  rankContainer.className = "rank_container";
+
+  ranking.forEach(({ index, probability }) => {
+    const item = document.createElement("li");
+    const label = document.createElement("span");
+    const bar = document.createElement("div");
+    const fill = document.createElement("div");
+    const percent = document.createElement("span");
+
+    label.innerText = data[index].name;
+    bar.className = "rank_bar";
+    percent.innerText = `${(probability * 100).toFixed(1)}%`;
+
+    bar.appendChild(fill);
+    item.appendChild(label);
+    item.appendChild(bar);
+    item.appendChild(percent);
+    rankContainer.appendChild(item);
+
+    setTimeout(() => {
+      fill.style.width = `${probability * 100}%`;
+    }, 0);
+  });
+
+  container.appendChild(rankContainer);
+};
+
+// 등록된 차종이 아닐 때
+const paintUnknown = (ranking) => {
+  const beforeContainer =
+    document.getElementsByClassName("search_container")[0] || undefined;
+  beforeContainer?.remove();
+
+  const container = document.createElement("div");
+  const name = document.createElement("h2");
+  const message = document.createElement("p");
+
+  container.className = "search_container";
+  name.innerText = "UNKNOWN";
+  message.className = "search_unknown";
+  message.innerText =
+    "등록된 차종이 아닌 것 같습니다. 다른 사진으로 시도해주세요.";
+
+  container.appendChild(name);
+  container.appendChild(message);
+  paintRanking(container, ranking);
+  // 후보들의 가격·연비 비교 (carSpecs.js)
+  paintComparison(container, ranking);
+  searchstart.appendChild(container);
+};
+
+// 분류하지 못했을 때 (모델 로드 실패, Worker 오류 등)
+const paintSearchError = (error) => {
+  console.error(error);
+  // 모델을 불러오다 실패했으면 진행률 표시도 멈춘 채로 두지 않음
+  if (!modelProgress.classList.contains("done")) {
+    modelProgress.classList.add("error");
+    progressText.innerText = error.message;
+  }
+  document.getElementsByClassName("search_container")[0]?.remove();
+
+  const container = document.createElement("div");
+  const name = document.createElement("h2");
+  const message = document.createElement("p");
+
+  container.className = "search_container";
+  name.innerText = "ERROR";
+  message.className = "search_unknown";
+  message.innerText = `사진을 분류하지 못했습니다: ${error.message}`;
+
+  container.appendChild(name);
+  container.appendChild(message);
+  searchstart.appendChild(container);
+};
+
+const paintInfo = (ranking) => {
+  const { index } = ranking[0];
+
   const beforeContainer =
     document.getElementsByClassName("search_container")[0] || undefined;
   beforeContainer?.remove();
@@ -86,7 +128,7 @@ const paintInfo = (index) => {
 
   container.className = "search_container";
   img.className = "search_img";
-  img.src = `./images/${data[index].url}.png`;
+  img.src = data[index].image;
   graphContainer.className = "graph_container";
   box1.innerText = "가격";
   box3.innerText = "연비";
@@ -105,6 +147,9 @@ const paintInfo = (index) => {
   graphContainer.appendChild(box6);
   container.appendChild(img);
   container.appendChild(graphContainer);
+  paintRanking(container, ranking);
+  // 후보들의 가격·연비 비교 (carSpecs.js)
+  paintComparison(container, ranking);
   searchstart.appendChild(container);
 
   setTimeout(() => {
@@ -117,31 +162,326 @@ const paintInfo = (index) => {
   //   0 -> 0.004초 후 실행
 };
 
+// 모델 로딩 진행률 표시
+const modelProgress = document.getElementsByClassName("model_progress")[0];
+const progressBar = modelProgress.querySelector(".model_progress_bar");
+const progressText = modelProgress.querySelector("span");
+
+const paintProgress = (fraction) => {
+  const percent = Math.round(fraction * 100);
+  progressBar.style.width = `${percent}%`;
+  progressText.innerText = `모델 로딩 ${percent}%`;
+};
+
+// 가중치 샤드가 빠졌거나 손상된 경우 (modelManager.js 의 ModelIntegrityError)
+const paintIncomplete = (problems) => {
+  const container = document.createElement("div");
+  const name = document.createElement("h2");
+  const message = document.createElement("p");
+  const list = document.createElement("ul");
+
+  container.className = "search_container model_incomplete";
+  name.innerText = "MODEL INCOMPLETE";
+  message.innerText = `model2 의 가중치 파일 ${problems.length}개에 문제가 있어 검색할 수 없습니다.`;
+
+  problems.forEach(({ path, reason, weights }) => {
+    const item = document.createElement("li");
+    const details = document.createElement("details");
+    const summary = document.createElement("summary");
+    const weightList = document.createElement("ul");
+
+    summary.innerText = `${path} — ${reason} (가중치 ${weights.length}개)`;
+    weights.forEach((weight) => {
+      const weightItem = document.createElement("li");
+      weightItem.innerText = weight;
+      weightList.appendChild(weightItem);
+    });
+
+    details.appendChild(summary);
+    details.appendChild(weightList);
+    item.appendChild(details);
+    list.appendChild(item);
+  });
+
+  container.appendChild(name);
+  container.appendChild(message);
+  container.appendChild(list);
+  searchstart.appendChild(container);
+
+  // 검색 입력 비활성화
+  document.getElementById("imageUpload").disabled = true;
+  document.getElementsByClassName("webcam_toggle")[0].disabled = true;
+};
+
+// 페이지를 열면 바로 모델과 차량 정보를 불러옴 (이후에는 캐시된 모델 사용)
+getCatalog(paintProgress)
+  .then((catalog) => {
+    data = catalog;
+    modelProgress.classList.add("done");
+    paintHistory().catch(console.error);
+  })
+  .catch((error) => {
+    modelProgress.classList.add("error");
+    progressText.innerText = error.message;
+    if (error instanceof ModelIntegrityError) {
+      progressText.innerText = "모델 파일이 불완전합니다";
+      paintIncomplete(error.problems);
+    }
+    console.error(error);
+  });
+
+// 보정된 확률로 결과 정리
+// image 는 업로드한 이미지 요소 (웹캠이면 null)
+// cleaned 는 배경을 제거해서 실제로 분류한 캔버스 (배경 제거를 끄면 null)
+const getResult = (name, image, predictions, cleaned = null) => {
+  const probabilities = calibrate(predictions, searchConfig.temperature);
+  const ranking = getTopK(probabilities, searchConfig.topK);
+  const unknown = ranking[0].probability < searchConfig.unknownThreshold;
+  // 분류할 때의 차종 이름 (이후 새 차종을 가르치거나 지워도 probabilities 와 순서가 맞음)
+  const labels = data.map((car) => car.name);
+  return { name, image, cleaned, labels, probabilities, ranking, unknown };
+};
+
+// 결과 패널 출력 (상위 후보와 신뢰도)
+let currentResult = null;
+
+const paintResult = (result) => {
+  currentResult = result;
+  if (result.unknown) {
+    paintUnknown(result.ranking);
+  } else {
+    paintInfo(result.ranking);
+  }
+
+  // 배경을 제거했으면 원본과 비교 (backgroundRemoval.js)
+  if (result.cleaned) {
+    paintBackgroundPreview(result);
+  }
+  // 판단 근거 보기가 켜져 있으면 히트맵도 표시 (gradCam.js)
+  if (explainToggle.checked && result.image) {
+    paintGradCam(result).catch((error) => paintGradCamError(result, error));
+  }
+  // 비슷한 차량 찾기가 켜져 있으면 유사 이미지도 표시 (similarity.js)
+  if (similarToggle.checked && result.image) {
+    paintSimilar(result).catch((error) => paintSimilarError(result, error));
+  }
+};
+
+// 업로드한 이미지들의 예측 결과 갤러리
+const gallery = document.getElementsByClassName("gallery")[0];
+const csvButton = document.getElementsByClassName("csv_export")[0];
+let results = [];
+
+const paintGallery = () => {
+  gallery.innerHTML = "";
+
+  results.forEach((result) => {
+    const item = document.createElement("figure");
+    const img = document.createElement("img");
+    const caption = document.createElement("figcaption");
+    const [top] = result.ranking;
+
+    item.className = "gallery_item";
+    img.src = result.image.src;
+    img.alt = result.name;
+    caption.innerText = result.unknown
+      ? "UNKNOWN"
+      : `${result.labels[top.index]} ${(top.probability * 100).toFixed(1)}%`;
+
+    item.appendChild(img);
+    item.appendChild(caption);
+    gallery.appendChild(item);
+
+    item.addEventListener("click", () => {
+      gallery.querySelector(".selected")?.classList.remove("selected");
+      item.classList.add("selected");
+      paintResult(result);
+    });
+  });
+
+  gallery.firstChild?.classList.add("selected");
+  csvButton.classList.toggle("active", results.length > 0);
+};
+
+// CSV 저장 (파일명, 예측 차종, 차종별 확률)
+const csvField = (value) => {
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const exportCsv = () => {
+  if (results.length === 0) {
+    return;
+  }
+  // results 는 한 번에 분류한 결과라 모두 같은 차종 목록을 씀
+  const header = ["filename", "label", ...results[0].labels];
+  const rows = results.map((result) => [
+    result.name,
+    result.unknown ? "UNKNOWN" : result.labels[result.ranking[0].index],
+    ...result.probabilities.map((p) => p.toFixed(4)),
+  ]);
+  const csv = [header, ...rows]
+    .map((row) => row.map(csvField).join(","))
+    .join("\n");
+
+  // 엑셀에서 한글이 깨지지 않도록 BOM 추가
+  const blob = new Blob(["\uFEFF" + csv], { type: "text/csv" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = "predictions.csv";
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+};
+
+csvButton.addEventListener("click", exportCsv);
+
+// 파일을 이미지 요소로 로드 (읽지 못하면 만든 object URL 을 바로 해제)
+// 로드한 이미지의 src 는 다 쓴 뒤 URL.revokeObjectURL 로 해제해야 함
+const loadImage = (file) =>
+  new Promise((resolve, reject) => {
+    const img = new Image();
+    const url = URL.createObjectURL(file);
+    img.onload = () => resolve(img);
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`${file.name} 을(를) 읽을 수 없습니다.`));
+    };
+    img.src = url;
+  });
+
+// 선택하거나 끌어다 놓은 이미지들을 분류
+async function classifyFiles(items) {
+  const imageItems = items.filter(({ file }) => file.type.startsWith("image/"));
+  if (imageItems.length === 0) {
+    return;
+  }
+
+  // 분류기 준비 (모델은 한 번만 로드됨)
+  const classifier = await getClassifier(paintProgress);
+  data = await getCatalog(paintProgress);
+  modelProgress.classList.remove("error");
+  modelProgress.classList.add("done");
+
+  const loaded = await Promise.allSettled(
+    imageItems.map(({ file }) => loadImage(file))
+  );
+  const images = [];
+  const names = [];
+  loaded.forEach((outcome, i) => {
+    if (outcome.status === "fulfilled") {
+      images.push(outcome.value);
+      names.push(imageItems[i].name);
+    } else {
+      console.warn(outcome.reason.message);
+    }
+  });
+
+  // 중간에 실패하면 이번에 읽은 이미지의 object URL 을 해제 (이전 결과는 그대로 둠)
+  const batchResults = [];
+  try {
+    // 배경 제거가 켜져 있으면 학습 이미지처럼 배경을 지운 뒤 분류
+    const cleaned = [];
+    if (backgroundToggle.checked) {
+      for (const image of images) {
+        cleaned.push(await removeBackground(image));
+      }
+    }
+    const inputs = backgroundToggle.checked ? cleaned : images;
+
+    // 이미지 분류 (batchSize 개씩 묶어서 실행)
+    for (let i = 0; i < inputs.length; i += searchConfig.batchSize) {
+      const batch = inputs.slice(i, i + searchConfig.batchSize);
+      const predictions = await classifier.classify(batch);
+      predictions.forEach((prediction, j) => {
+        batchResults.push(
+          getResult(
+            names[i + j],
+            images[i + j],
+            prediction,
+            cleaned[i + j] ?? null
+          )
+        );
+      });
+    }
+  } catch (error) {
+    images.forEach((image) => URL.revokeObjectURL(image.src));
+    throw error;
+  }
+
+  results.forEach((result) => URL.revokeObjectURL(result.image.src));
+  results = batchResults;
+
+  // 예측 기록 저장 (history.js)
+  recordHistory(results, classifier.modelVersion)
+    .then(paintHistory)
+    .catch(console.error);
+
+  paintGallery();
+  if (results.length > 0) {
+    paintResult(results[0]);
+  }
+}
+
+// 폴더를 끌어다 놓으면 하위 파일까지 모두 읽음
+const readEntry = async (entry) => {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) =>
+      entry.file(resolve, reject)
+    );
+    return [{ file, name: entry.fullPath.replace(/^\//, "") }];
+  }
+
+  const reader = entry.createReader();
+  const items = [];
+  let entries;
+  do {
+    entries = await new Promise((resolve, reject) =>
+      reader.readEntries(resolve, reject)
+    );
+    for (const child of entries) {
+      items.push(...(await readEntry(child)));
+    }
+  } while (entries.length > 0);
+  return items;
+};
+
 // 이미지 업로드 및 분류 실행
 const inputElement = document.getElementById("imageUpload");
 inputElement.addEventListener("change", handleFiles);
 
 async function handleFiles() {
-  const file = this.files[0];
-
-  // 이미지를 화면에 표시
-  const img = document.createElement("img");
-  img.src = URL.createObjectURL(file);
-  img.style.position = "absolute";
-  img.style.left = "10%";
-  img.style.top = "50%";
-  img.width = 300;
-  img.height = 300;
-  img.style.float = "left";
-  document.body.appendChild(img);
-
-  // 모델 로드
-  const model = await loadModel();
-
-  // 이미지 분류
-  const predictions = await classifyImage(model, img);
-
-  // 분류 결과 출력
-  const index = predictions.indexOf(Math.max(...predictions));
-  paintInfo(index);
+  const items = Array.from(this.files, (file) => ({ file, name: file.name }));
+  await classifyFiles(items).catch(paintSearchError);
 }
+
+// 드래그 앤 드롭 (여러 파일, 폴더)
+const dropZone = document.getElementsByClassName("searching")[0];
+
+dropZone.addEventListener("dragover", (event) => {
+  event.preventDefault();
+  dropZone.classList.add("dragover");
+});
+
+dropZone.addEventListener("dragleave", () => {
+  dropZone.classList.remove("dragover");
+});
+
+dropZone.addEventListener("drop", async (event) => {
+  event.preventDefault();
+  dropZone.classList.remove("dragover");
+
+  // webkitGetAsEntry 는 drop 이벤트 안에서 바로 호출해야 함
+  const entries = Array.from(event.dataTransfer.items, (item) =>
+    item.webkitGetAsEntry()
+  ).filter(Boolean);
+
+  try {
+    const items = [];
+    for (const entry of entries) {
+      items.push(...(await readEntry(entry)));
+    }
+    await classifyFiles(items);
+  } catch (error) {
+    paintSearchError(error);
+  }
+});
@@ -0,0 +1,179 @@
+// 카메라 모드: 웹캠 프레임을 일정 간격으로 분류
+const webcamConfig = {
+  // 프레임 분류 간격 (ms)
+  interval: 500,
+  // 예측을 평균낼 최근 프레임 수
+  windowSize: 5,
+};
+
+const webcamVideo = document.getElementsByClassName("webcam_video")[0];
+const webcamButton = document.getElementsByClassName("webcam_toggle")[0];
+const webcamSelect = document.getElementsByClassName("webcam_device")[0];
+
+let webcam = null;
+// 진행 중인 startWebcam (정지하거나 다시 시작하면 바뀜)
+let webcamStart = null;
+let recentPredictions = [];
+let stableLabel = null;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// 카메라 목록 (권한을 허용해야 이름이 보임)
+async function paintDevices() {
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  const selected = webcamSelect.value;
+  webcamSelect.innerHTML = "";
+
+  devices
+    .filter((device) => device.kind === "videoinput")
+    .forEach((device, i) => {
+      const option = document.createElement("option");
+      option.value = device.deviceId;
+      option.innerText = device.label || `카메라 ${i + 1}`;
+      webcamSelect.appendChild(option);
+    });
+
+  if (selected) {
+    webcamSelect.value = selected;
+  }
+}
+
+// 최근 프레임들의 평균 확률
+const averagePredictions = (predictions) =>
+  predictions[0].map(
+    (_, i) =>
+      predictions.reduce((sum, prediction) => sum + prediction[i], 0) /
+      predictions.length
+  );
+
+async function runWebcam(classifier) {
+  // 정지 후 다시 시작하면 이전 루프는 종료
+  const current = webcam;
+  while (webcam === current) {
+    const startTime = performance.now();
+
+    const frame = await current.capture();
+    if (!frame) {
+      break;
+    }
+    let prediction;
+    try {
+      [prediction] = await classifier.classify([frame]);
+    } finally {
+      frame.dispose();
+    }
+    if (webcam !== current) {
+      break;
+    }
+
+    recentPredictions.push(prediction);
+    if (recentPredictions.length > webcamConfig.windowSize) {
+      recentPredictions.shift();
+    }
+
+    // 평균 예측이 바뀌었을 때만 결과 패널을 다시 그림
+    const result = getResult(
+      "webcam",
+      null,
+      averagePredictions(recentPredictions)
+    );
+    const label = result.unknown ? -1 : result.ranking[0].index;
+    if (
+      recentPredictions.length === webcamConfig.windowSize &&
+      label !== stableLabel
+    ) {
+      stableLabel = label;
+      paintResult(result);
+    }
+
+    await sleep(webcamConfig.interval - (performance.now() - startTime));
+  }
+}
+
+async function startWebcam() {
+  const start = {};
+  webcamStart = start;
+  webcamButton.disabled = true;
+  webcamButton.innerText = "카메라 시작 중...";
+
+  try {
+    const classifier = await getClassifier(paintProgress);
+    data = await getCatalog(paintProgress);
+
+    // 모델 입력 크기에 맞춰 가운데를 잘라서 받음
+    const opened = await tf.data.webcam(webcamVideo, {
+      resizeWidth: 300,
+      resizeHeight: 300,
+      centerCrop: true,
+      deviceId: webcamSelect.value || undefined,
+    });
+    // 기다리는 동안 정지했거나 다른 카메라로 다시 시작했으면 이 스트림은 닫음
+    if (webcamStart !== start) {
+      opened.stop();
+      return;
+    }
+    webcam = opened;
+    recentPredictions = [];
+    stableLabel = null;
+
+    webcamVideo.classList.add("active");
+    webcamButton.innerText = "카메라 정지";
+    await paintDevices();
+
+    runWebcam(classifier).catch((error) => {
+      console.error(error);
+      if (webcam === opened) {
+        stopWebcam();
+      }
+    });
+  } catch (error) {
+    // 이미 다른 시작으로 바뀌었으면 조용히 끝냄
+    if (webcamStart === start) {
+      throw error;
+    }
+  } finally {
+    if (webcamStart === start) {
+      webcamStart = null;
+      webcamButton.disabled = false;
+    }
+  }
+}
+
+function stopWebcam() {
+  webcam?.stop();
+  webcam = null;
+  webcamStart = null;
+
+  webcamVideo.classList.remove("active");
+  webcamButton.disabled = false;
+  webcamButton.innerText = "카메라 시작";
+}
+
+const restartWebcam = () => {
+  stopWebcam();
+  startWebcam().catch((error) => {
+    alert(`카메라를 시작할 수 없습니다: ${error.message}`);
+    stopWebcam();
+  });
+};
+
+webcamButton.addEventListener("click", () => {
+  if (webcam) {
+    stopWebcam();
+  } else {
+    restartWebcam();
+  }
+});
+
+// 카메라를 바꾸면 새 카메라로 다시 시작 (시작 중이어도)
+webcamSelect.addEventListener("change", () => {
+  if (webcam || webcamStart) {
+    restartWebcam();
+  }
+});
+
+if (navigator.mediaDevices) {
+  paintDevices();
+} else {
+  webcamButton.disabled = true;
+}